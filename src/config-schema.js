@@ -0,0 +1,523 @@
+// Schema of the <exe>.config file: types, ranges and defaults of every setting.
+// unit and range are annotations for the configuration dialog, range is also used in error messages.
+
+const CONFIG_VERSION = 3;
+
+// Settings that can also be set per mower in MowerOverrides
+const stuckDetectionThreshold = {
+  type: 'integer',
+  minimum: 10,
+  maximum: 1800,
+  default: 90,
+  description: 'Time in seconds after which a device is considered stuck if GPS coordinates do not change',
+  unit: 'seconds',
+  range: '10-1800'
+};
+
+const batteryLowThreshold = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 50,
+  default: 10,
+  description: 'Battery percentage below which low battery warnings are shown',
+  unit: 'percent',
+  range: '1-50'
+};
+
+// Durations of the time range grammar (TimeRange.parse in the renderer), e.g. "up to 5 minutes", "last 2 days"
+const durationPattern = '^\\s*((last|past|previous|up to)\\s+)?(\\d+(\\.\\d+)?)?\\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?)\\s*$';
+const durationUnitSeconds = { m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60 };
+
+// Length in seconds of a duration matching durationPattern, rounded like TimeRange.parse, null for other text
+const getDurationSeconds = (value) => {
+  const match = value.match(new RegExp(durationPattern, 'i'));
+  if (!match) return null;
+
+  const count = match[3] !== undefined ? parseFloat(match[3]) : 1;
+  return Math.round(count * durationUnitSeconds[match[5][0].toLowerCase()]);
+};
+
+const configSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'GreenBot Lawnmower Cockpit configuration',
+  type: 'object',
+  properties: {
+    ConfigVersion: {
+      type: 'integer',
+      minimum: 0,
+      default: CONFIG_VERSION,
+      readOnly: true,
+      description: 'Version of the config file format, updated automatically when the file is migrated'
+    },
+    StuckDetectionThreshold: stuckDetectionThreshold,
+    DefaultView: {
+      type: 'string',
+      enum: ['Live', 'History'],
+      default: 'Live',
+      description: 'Default view mode when opening the cockpit (Live or History)',
+      range: 'Live, History'
+    },
+    LiveRange: {
+      type: 'string',
+      pattern: durationPattern,
+      duration: true,
+      default: 'up to 5 minutes',
+      description: 'Time span displayed in Live mode',
+      range: 'Duration in minutes, hours, days or weeks (e.g., "up to 5 minutes")'
+    },
+    HistoryRange: {
+      type: 'string',
+      pattern: durationPattern,
+      duration: true,
+      default: 'last 60 minutes',
+      description: 'Time span displayed in History mode',
+      range: 'Duration in minutes, hours, days or weeks (e.g., "last 2 days")'
+    },
+    BatteryLowThreshold: batteryLowThreshold,
+    RefreshInterval: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 30,
+      default: 5,
+      description: 'Polling interval in seconds (only used if real-time updates are not available)',
+      unit: 'seconds',
+      range: '1-30'
+    },
+    CommandVerificationTimeout: {
+      type: 'integer',
+      minimum: 5,
+      maximum: 300,
+      default: 30,
+      description: 'Time to wait for the mower to reach the expected state after a remote command',
+      unit: 'seconds',
+      range: '5-300'
+    },
+    PingInterval: {
+      type: 'integer',
+      anyOf: [{ const: 0 }, { minimum: 10, maximum: 3600 }],
+      default: 60,
+      description: 'Interval of the background pings used for uptime and reachability warnings (0 disables)',
+      unit: 'seconds',
+      range: '0, 10-3600'
+    },
+    PingLatencyWarning: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 10000,
+      default: 1000,
+      description: 'Median ping round trip above which a mower is reported as degraded',
+      unit: 'ms',
+      range: '100-10000'
+    },
+    OperatorName: {
+      type: 'string',
+      default: '',
+      description: 'Operator name recorded in the remote control audit trail',
+      range: 'Text (empty to use the system user name)'
+    },
+    CuttingWidth: {
+      type: 'number',
+      minimum: 0.1,
+      maximum: 2,
+      default: 0.3,
+      description: 'Width of the cutting deck used to calculate mowing coverage',
+      unit: 'meters',
+      range: '0.1-2'
+    },
+    TileCachePath: {
+      type: 'string',
+      minLength: 1,
+      default: 'tiles',
+      description: 'Directory with cached map tiles ({z}/{x}/{y}.png, .jpg or .webp as delivered), relative to the application',
+      range: 'Directory path'
+    },
+    MBTilesPath: {
+      type: 'string',
+      default: '',
+      description: 'Optional MBTiles file used as the first source for map tiles',
+      range: 'File path (empty to disable)'
+    },
+    OnlineTiles: {
+      type: 'boolean',
+      default: true,
+      description: 'Download missing map tiles from the tile server and add them to the tile cache',
+      range: 'true, false'
+    },
+    TileServerUrl: {
+      type: 'string',
+      pattern: '^https?://[^\\s]*\\{z\\}[^\\s]*\\{x\\}[^\\s]*\\{y\\}',
+      default: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+      description: 'URL of the online tile server; tile.openstreetmap.org does not allow downloading areas in advance',
+      range: 'URL with {z}, {x} and {y}'
+    },
+    Notifications: {
+      type: 'object',
+      properties: {
+        Error: { type: 'boolean' },
+        Warning: { type: 'boolean' },
+        Info: { type: 'boolean' }
+      },
+      default: { Error: true, Warning: false, Info: false },
+      description: 'Severities of mower events that raise a desktop notification',
+      range: 'Error, Warning, Info (set in Messages > Alert Rules)'
+    },
+    MowerOverrides: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            StuckDetectionThreshold: stuckDetectionThreshold,
+            BatteryLowThreshold: batteryLowThreshold
+          }
+        }
+      },
+      default: {},
+      description: 'Per-mower values of StuckDetectionThreshold and BatteryLowThreshold, keyed by connection profile name and lawnmower id',
+      unit: 'mowers',
+      range: 'Set in the mower edit dialog'
+    },
+    StartInterlocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['Id', 'Enabled', 'Mode'],
+        properties: {
+          Id: { type: 'string', enum: ['battery-minimum', 'stale-data', 'outside-zone', 'unacknowledged-error'] },
+          Name: { type: 'string' },
+          Enabled: { type: 'boolean' },
+          Mode: { type: 'string', enum: ['block', 'confirm'] },
+          Value: { type: 'number', minimum: 0 }
+        }
+      },
+      // 'block' prevents the command, 'confirm' asks the operator first
+      default: [
+        { Id: 'battery-minimum', Name: 'Battery below minimum', Enabled: true, Mode: 'block', Value: 20 },
+        { Id: 'stale-data', Name: 'Data stale', Enabled: true, Mode: 'confirm', Value: 60 },
+        { Id: 'outside-zone', Name: 'Outside mowing zone', Enabled: true, Mode: 'block' },
+        { Id: 'unacknowledged-error', Name: 'Unacknowledged error', Enabled: true, Mode: 'confirm' }
+      ],
+      description: 'Checks before START (battery-minimum, stale-data, outside-zone, unacknowledged-error) with Mode block or confirm',
+      unit: 'interlocks',
+      range: 'Edit Enabled, Mode and Value in the config file'
+    },
+    AlertRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['Id', 'Enabled', 'Severity', 'Conditions', 'Message'],
+        properties: {
+          Id: { type: 'string', minLength: 1 },
+          Name: { type: 'string' },
+          Enabled: { type: 'boolean' },
+          Severity: { type: 'string', enum: ['info', 'warning', 'error'] },
+          Conditions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['Field', 'Operator', 'Value'],
+              properties: {
+                Field: { type: 'string', enum: ['Battery', 'State', 'Movement', 'InsideZone', 'StaleSeconds'] },
+                Operator: { type: 'string', enum: ['<', '<=', '>', '>=', '==', '!=', 'in', 'not in'] },
+                Value: { type: ['number', 'string', 'boolean', 'array'] }
+              }
+            }
+          },
+          Duration: { type: ['number', 'string'] },
+          Cooldown: { type: ['number', 'string'] },
+          MarkLocation: { type: 'boolean' },
+          Message: { type: 'string' }
+        }
+      },
+      // Reproduce the former hard-coded battery, stuck and error checks
+      default: [
+        {
+          Id: 'battery-empty',
+          Name: 'Battery empty',
+          Enabled: true,
+          Severity: 'error',
+          Conditions: [{ Field: 'Battery', Operator: '<=', Value: 0 }],
+          Cooldown: 300,
+          Message: 'Battery empty - device shutting down'
+        },
+        {
+          Id: 'battery-low',
+          Name: 'Battery low',
+          Enabled: true,
+          Severity: 'warning',
+          Conditions: [
+            { Field: 'Battery', Operator: '>', Value: 0 },
+            { Field: 'Battery', Operator: '<', Value: '$BatteryLowThreshold' }
+          ],
+          Cooldown: 300,
+          Message: 'Battery low: {battery}%'
+        },
+        {
+          Id: 'stuck',
+          Name: 'Device stuck',
+          Enabled: true,
+          Severity: 'error',
+          Conditions: [
+            { Field: 'State', Operator: 'in', Value: [2, 3] },
+            { Field: 'Movement', Operator: '<', Value: 1 }
+          ],
+          Duration: '$StuckDetectionThreshold',
+          Cooldown: '$StuckDetectionThreshold',
+          MarkLocation: true,
+          Message: 'Device appears to be stuck ({duration}s without movement)'
+        },
+        {
+          Id: 'error-state',
+          Name: 'Error state',
+          Enabled: true,
+          Severity: 'error',
+          Conditions: [{ Field: 'State', Operator: '==', Value: 5 }],
+          Cooldown: 600,
+          Message: 'Device entered error state'
+        },
+        {
+          Id: 'stale-data',
+          Name: 'No data received',
+          Enabled: false,
+          Severity: 'warning',
+          Conditions: [{ Field: 'StaleSeconds', Operator: '>', Value: 120 }],
+          Cooldown: 900,
+          Message: 'No data received for {stale}s'
+        }
+      ],
+      description: 'Alert rules with conditions on Battery, State, Movement, InsideZone and StaleSeconds',
+      unit: 'rules',
+      range: 'Enable or disable rules in Messages > Alert Rules'
+    }
+  }
+};
+
+const getDefaultConfig = () => {
+  const config = {};
+  Object.entries(configSchema.properties).forEach(([key, property]) => {
+    if (property.default !== undefined) {
+      config[key] = JSON.parse(JSON.stringify(property.default));
+    }
+  });
+  return config;
+};
+
+const getType = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'nan';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = getType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const typeNames = {
+  integer: 'a whole number',
+  number: 'a number',
+  string: 'text',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list'
+};
+
+// Supports the subset of JSON Schema used above, returns [{ path, message }]
+const validateValue = (schema, value, path, range = schema.range) => {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (schema.type && !types.some(type => matchesType(value, type))) {
+    return [{ path, message: `must be ${types.map(type => typeNames[type]).join(' or ')}` }];
+  }
+
+  const describe = (fallback) => `must be within ${range || fallback}`;
+  const errors = [];
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: describe(String(schema.const)) });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      errors.push({ path, message: describe(`${schema.minimum !== undefined ? schema.minimum : ''}-${schema.maximum !== undefined ? schema.maximum : ''}`) });
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'i').test(value)) {
+      errors.push({ path, message: `has an invalid format, expected ${range || schema.pattern}` });
+    }
+    // TimeRange.parse does not accept empty ranges such as "0 minutes" or "last 0 h"
+    if (schema.duration && getDurationSeconds(value) === 0) {
+      errors.push({ path, message: 'must be longer than zero' });
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(option => validateValue(option, value, path, range).length === 0)) {
+    errors.push({ path, message: describe('the allowed values') });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${path}[${index}]`, schema.items.range)));
+  }
+  if (getType(value) === 'object') {
+    (schema.required || []).filter(key => value[key] === undefined).forEach(key => {
+      errors.push({ path: `${path}.${key}`, message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateValue(property, value[key], `${path}.${key}`, property.range));
+      }
+    });
+    if (schema.additionalProperties) {
+      Object.keys(value).filter(key => !(schema.properties || {})[key]).forEach(key => {
+        errors.push(...validateValue(schema.additionalProperties, value[key], `${path}.${key}`, schema.additionalProperties.range));
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Only the settings present are checked, missing ones are filled with defaults when loading.
+// Returns [{ key, path, message }] with key being the top-level setting.
+const validateConfig = (config) => {
+  const errors = [];
+
+  Object.entries(config).forEach(([key, value]) => {
+    const property = configSchema.properties[key];
+    if (!property) return; // Unknown settings are kept as they are
+
+    validateValue(property, value, key).forEach(error => errors.push({ key, ...error }));
+  });
+
+  return errors;
+};
+
+// Migrations upgrade a config file from the previous version, index 0 migrates version 0 to 1.
+// Files written before versioning have no ConfigVersion and count as version 0.
+const migrations = [
+  // Version 1: the file was only ever edited by hand, numbers and flags were accepted as strings
+  (config) => {
+    Object.entries(config).forEach(([key, value]) => {
+      const property = configSchema.properties[key];
+      if (!property || typeof value !== 'string') return;
+
+      if ((property.type === 'integer' || property.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        config[key] = Number(value);
+      } else if (property.type === 'boolean' && /^(true|false)$/i.test(value.trim())) {
+        config[key] = value.trim().toLowerCase() === 'true';
+      }
+    });
+    return config;
+  },
+  // Version 2: LiveRange and HistoryRange follow the time range grammar, before they only had to contain
+  // a duration such as "60 minutes ago"; the duration and a leading "last" or "up to" are kept
+  (config) => {
+    ['LiveRange', 'HistoryRange'].forEach(key => {
+      const value = config[key];
+      if (typeof value !== 'string' || new RegExp(durationPattern, 'i').test(value)) return;
+
+      const duration = value.match(/(\d+)\s*(minute|hour)s?/i);
+      if (duration) {
+        const prefix = value.match(/^\s*(last|past|previous|up to)\s/i);
+        config[key] = `${prefix ? `${prefix[1].toLowerCase()} ` : ''}${duration[1]} ${duration[2].toLowerCase()}s`;
+      }
+    });
+    return config;
+  },
+  // Version 3: MowerOverrides are keyed by connection profile as mower ids are only unique per backend,
+  // the overrides written before are assigned to the active profile
+  (config, { profile }) => {
+    const overrides = config.MowerOverrides;
+    if (overrides && typeof overrides === 'object' && !Array.isArray(overrides) && Object.keys(overrides).length > 0) {
+      config.MowerOverrides = { [profile]: overrides };
+    }
+    return config;
+  }
+];
+
+// Returns { config, migrated }, throws for files written by a newer version of the application.
+// context: { profile } - name of the active connection profile
+const migrateConfig = (config, context) => {
+  const version = Number.isInteger(config.ConfigVersion) ? config.ConfigVersion : 0;
+
+  if (version > CONFIG_VERSION) {
+    throw new Error(`ConfigVersion ${version} is newer than supported version ${CONFIG_VERSION}`);
+  }
+  if (version === CONFIG_VERSION) {
+    return { config, migrated: false };
+  }
+
+  let migrated = { ...config };
+  for (let from = version; from < CONFIG_VERSION; from++) {
+    migrated = migrations[from](migrated, context);
+  }
+  migrated.ConfigVersion = CONFIG_VERSION;
+
+  return { config: migrated, migrated: true };
+};
+
+const isValid = (schema, value) => validateValue(schema, value, '').length === 0;
+
+// Returns value with only its invalid parts replaced by fallback: invalid items of a list are dropped,
+// invalid properties of an object are defaulted or dropped. undefined means the value is dropped.
+const normalizeValue = (schema, value, fallback) => {
+  if (isValid(schema, value)) return value;
+
+  // A list item is dropped as a whole, e.g. an alert rule without one of its conditions would fire too often
+  if (Array.isArray(value) && schema.items && matchesType(value, 'array') && [].concat(schema.type).includes('array')) {
+    const items = value.filter(item => isValid(schema.items, item));
+    if (isValid(schema, items)) return items;
+  }
+
+  if (getType(value) === 'object' && [].concat(schema.type).includes('object')) {
+    const normalized = { ...value };
+    Object.keys(value).forEach(key => {
+      const property = (schema.properties || {})[key] || schema.additionalProperties;
+      if (!property) return;
+
+      const item = normalizeValue(property, value[key], fallback && getType(fallback) === 'object' ? fallback[key] : undefined);
+      if (item === undefined) {
+        delete normalized[key];
+      } else {
+        normalized[key] = item;
+      }
+    });
+    if (isValid(schema, normalized)) return normalized;
+  }
+
+  return fallback;
+};
+
+// Invalid settings are replaced by their defaults and reported instead of discarding the whole file.
+// Within lists and objects only the invalid items are dropped, the rest of the setting is kept.
+const normalizeConfig = (config) => {
+  const errors = validateConfig(config);
+  const defaults = getDefaultConfig();
+  const normalized = { ...defaults, ...config };
+
+  new Set(errors.map(error => error.key)).forEach(key => {
+    const value = normalizeValue(configSchema.properties[key], config[key], defaults[key]);
+    if (value !== undefined) {
+      normalized[key] = value;
+    } else {
+      delete normalized[key];
+    }
+  });
+
+  return { config: normalized, errors };
+};
+
+module.exports = {
+  CONFIG_VERSION,
+  configSchema,
+  getDefaultConfig,
+  validateConfig,
+  migrateConfig,
+  normalizeConfig
+};
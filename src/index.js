@@ -1,6 +1,9 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, protocol, net, Notification } = require('electron');
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises;
+const { watch: fsWatch } = require('fs');
+const { CONFIG_VERSION, configSchema, getDefaultConfig, validateConfig, migrateConfig, normalizeConfig } = require('./config-schema');
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling.
 if (require('electron-squirrel-startup')) {
@@ -9,6 +12,11 @@ if (require('electron-squirrel-startup')) {
 
 let mainWindow;
 
+// Map tiles are served to the renderer through tiles://osm/{z}/{x}/{y}.png
+protocol.registerSchemesAsPrivileged([
+  { scheme: 'tiles', privileges: { standard: true, secure: true, supportFetchAPI: true } }
+]);
+
 const createWindow = () => {
   // Create the browser window.
   mainWindow = new BrowserWindow({
@@ -44,7 +52,9 @@ const createWindow = () => {
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 app.whenReady().then(() => {
+  protocol.handle('tiles', handleTileRequest);
   createWindow();
+  watchConfig();
 
   // On OS X it's common to re-create a window in the app when the
   // dock icon is clicked and there are no other windows open.
@@ -97,46 +107,834 @@ ipcMain.handle('show-message-box', async (event, options) => {
   return result;
 });
 
-// Configuration file operations
+// Files stored next to the executable (e.g. <exe>.config, <exe>.profiles)
+const getAppFilePath = (extension) => {
+  const appPath = app.getAppPath();
+  const exeName = path.basename(process.execPath, '.exe');
+  return path.join(appPath, `${exeName}.${extension}`);
+};
+
+// Files holding data of one connection profile (e.g. <exe>.Local.zones), mower ids are only unique per backend
+const encodeProfileName = (profile) => {
+  return encodeURIComponent(profile).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+const getProfileFilePath = async (profile, extension) => {
+  if (!profile) return getAppFilePath(extension);
+
+  const filePath = getAppFilePath(`${encodeProfileName(profile)}.${extension}`);
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    // Files written before data was kept per profile are taken over by the first profile loading them
+    await fs.rename(getAppFilePath(extension), filePath).catch(() => {});
+  }
+  return filePath;
+};
+
+// Configuration file operations, settings are described in config-schema.js
+let lastConfigContent = null;
+
+const describeConfigErrors = (errors) => errors.map(error => `${error.path} ${error.message}`).join('; ');
+
+// Returns { config, migrated } with config being the file content upgraded to the current version,
+// profile is the active connection profile some settings are assigned to when migrating
+const parseStoredConfig = (content, profile) => {
+  const parsed = JSON.parse(content);
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('The config file must contain a JSON object');
+  }
+
+  return migrateConfig(parsed, { profile });
+};
+
+// Returns { config, errors, migrated } where migrated is the upgraded file content, or null if already current
+const parseConfig = (content, profile) => {
+  const { config, migrated } = parseStoredConfig(content, profile);
+  return { ...normalizeConfig(config), migrated: migrated ? config : null };
+};
+
+const writeConfigFile = async (config) => {
+  const content = JSON.stringify(config, null, 2);
+
+  // The renderer already applies its own changes, the file watcher does not need to report them
+  lastConfigContent = content;
+  await fs.writeFile(getAppFilePath('config'), content, 'utf-8');
+};
+
+// Older files are upgraded in place so they carry the current ConfigVersion
+const writeMigratedConfig = async (config) => {
+  try {
+    await writeConfigFile(config);
+    console.log(`Config file migrated to version ${CONFIG_VERSION}`);
+  } catch (error) {
+    console.error('Failed to write migrated config file:', error.message);
+  }
+};
+
+// Returns { content, config, migrated } for the file as stored, content is null if there is no file
+const readStoredConfig = async () => {
+  const configPath = getAppFilePath('config');
+  let content;
+
+  try {
+    content = await fs.readFile(configPath, 'utf-8');
+  } catch (error) {
+    return { content: null, config: {}, migrated: false };
+  }
+
+  try {
+    return { content, ...parseStoredConfig(content, await readActiveProfileName()) };
+  } catch (error) {
+    throw new Error(`${path.basename(configPath)}: ${error.message}`);
+  }
+};
+
+// Returns { config, errors } - invalid settings are replaced by their defaults and listed in errors
+const readConfig = async () => {
+  const { content, config, migrated } = await readStoredConfig();
+
+  // Return default configuration if file doesn't exist
+  if (content === null) {
+    return { config: getDefaultConfig(), errors: [] };
+  }
+
+  if (migrated) {
+    await writeMigratedConfig(config);
+  }
+
+  return normalizeConfig(config);
+};
+
+// Changes are applied to the file content as stored, not to the loaded settings, so parts replaced
+// by defaults when loading (e.g. one invalid alert rule) are written back as they are.
+// changes: [{ path, value }] - path segments are setting names, or { Id } for the list item with
+// that Id; a value of null removes the setting. Returns { config, paths } with the changed paths
+// in the notation of the validation errors, e.g. "AlertRules[2].Enabled".
+const applyConfigChanges = (stored, changes) => {
+  const defaults = getDefaultConfig();
+  const config = JSON.parse(JSON.stringify(stored));
+
+  const paths = changes.map(({ path: segments, value }) => {
+    let container = config;
+    let changedPath = '';
+
+    segments.forEach((segment, index) => {
+      let key = segment;
+      if (segment !== null && typeof segment === 'object') {
+        key = Array.isArray(container) ? container.findIndex(item => item && item.Id === segment.Id) : -1;
+        if (key < 0) {
+          throw new Error(`${changedPath} has no item with Id ${segment.Id}`);
+        }
+      }
+      changedPath += typeof key === 'number' ? `[${key}]` : `${changedPath ? '.' : ''}${key}`;
+
+      if (index === segments.length - 1) {
+        if (value !== null) {
+          container[key] = value;
+        } else if (Array.isArray(container)) {
+          container.splice(key, 1);
+        } else {
+          delete container[key];
+        }
+        return;
+      }
+
+      // Settings missing from the file start from their default
+      if (container[key] === null || typeof container[key] !== 'object') {
+        container[key] = index === 0 && defaults[key] !== undefined ? defaults[key] : {};
+      }
+      container = container[key];
+    });
+
+    return changedPath;
+  });
+
+  return { config, paths };
+};
+
+// True if the error concerns a changed path, a part of it or one of the settings containing it
+const affectsPath = (errorPath, changedPath) => [[errorPath, changedPath], [changedPath, errorPath]]
+  .some(([inner, outer]) => inner === outer || inner.startsWith(`${outer}.`) || inner.startsWith(`${outer}[`));
+
+// Edits made to the config file outside the application are validated and pushed to the renderer
+let configReloadTimeout = null;
+
+const reloadConfig = async () => {
+  const configPath = getAppFilePath('config');
+  let content;
+
+  try {
+    content = await fs.readFile(configPath, 'utf-8');
+  } catch (error) {
+    // Removed, or only for a moment while an editor replaces it
+    return;
+  }
+
+  // Unchanged, or written by save-config
+  if (content === lastConfigContent) return;
+  lastConfigContent = content;
+
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+
+  try {
+    const { config, errors, migrated } = parseConfig(content, await readActiveProfileName());
+    if (migrated) {
+      await writeMigratedConfig(migrated);
+    }
+
+    resetTileSources();
+    mainWindow.webContents.send('config-changed', { success: true, config, errors });
+  } catch (error) {
+    mainWindow.webContents.send('config-changed', { success: false, error: `${path.basename(configPath)}: ${error.message}` });
+  }
+};
+
+const watchConfig = () => {
+  const configPath = getAppFilePath('config');
+
+  // The directory is watched because editors often replace the file instead of writing to it
+  try {
+    const watcher = fsWatch(path.dirname(configPath), (eventType, filename) => {
+      if (filename !== path.basename(configPath)) return;
+
+      // Editors save in several steps, only the final content is of interest
+      clearTimeout(configReloadTimeout);
+      configReloadTimeout = setTimeout(reloadConfig, 300);
+    });
+    watcher.on('error', (error) => console.error('Failed to watch config file:', error.message));
+  } catch (error) {
+    console.error('Failed to watch config file:', error.message);
+  }
+};
+
+// An unreadable file is reported together with the defaults, so every manager keeps working with them
 ipcMain.handle('load-config', async () => {
   try {
-    const appPath = app.getAppPath();
-    const exeName = path.basename(process.execPath, '.exe');
-    const configPath = path.join(appPath, `${exeName}.config`);
-    
+    const { config, errors } = await readConfig();
+    return { success: true, config, errors };
+  } catch (error) {
+    return { success: false, error: error.message, config: getDefaultConfig(), errors: [] };
+  }
+});
+
+// Only the changed settings have to be valid, invalid settings the user did not touch stay in the file
+ipcMain.handle('save-config', async (event, changes) => {
+  try {
+    const stored = await readStoredConfig();
+    const { config, paths } = applyConfigChanges(stored.config, changes);
+
+    const errors = validateConfig(config).filter(error => paths.some(changedPath => affectsPath(error.path, changedPath)));
+    if (errors.length > 0) {
+      return { success: false, error: `Invalid configuration: ${describeConfigErrors(errors)}`, errors };
+    }
+
+    await writeConfigFile({ ...config, ConfigVersion: CONFIG_VERSION });
+    resetTileSources();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('validate-config', (event, config) => {
+  return { success: true, errors: validateConfig(config) };
+});
+
+ipcMain.handle('get-config-schema', () => {
+  return { success: true, schema: configSchema };
+});
+
+// Connection profile operations
+// A single local profile is used if the file doesn't exist
+const defaultProfiles = {
+  ActiveProfile: 'Local',
+  Profiles: [
+    {
+      Name: 'Local',
+      BaseUrl: 'http://localhost:3000',
+      HubPath: '/hubs/measurements',
+      RequestTimeout: 10,
+      HubTimeout: 30
+    }
+  ]
+};
+
+// Same choice as ProfileManager.loadProfiles in the renderer
+const readActiveProfileName = async () => {
+  try {
+    const { ActiveProfile, Profiles } = JSON.parse(await fs.readFile(getAppFilePath('profiles'), 'utf-8'));
+    const profiles = (Array.isArray(Profiles) ? Profiles : []).filter(profile => profile.Name && profile.BaseUrl);
+    const active = profiles.find(profile => profile.Name === ActiveProfile) || profiles[0];
+    if (active) return active.Name;
+  } catch (error) {
+    // No profiles file, or one the renderer replaces by the defaults as well
+  }
+  return defaultProfiles.ActiveProfile;
+};
+
+ipcMain.handle('load-profiles', async () => {
+  try {
+    const profilesPath = getAppFilePath('profiles');
+
     try {
-      const content = await fs.readFile(configPath, 'utf-8');
-      return { success: true, config: JSON.parse(content) };
+      const content = await fs.readFile(profilesPath, 'utf-8');
+      return { success: true, profiles: JSON.parse(content) };
     } catch (error) {
-      // Return default configuration if file doesn't exist
-      const defaultConfig = {
-        StuckDetectionThreshold: 90,
-        DefaultView: 'Live',
-        LiveRange: 'up to 5 minutes',
-        HistoryRange: 'last 60 minutes',
-        BatteryLowThreshold: 10,
-        RefreshInterval: 5
-      };
-      return { success: true, config: defaultConfig };
+      return { success: true, profiles: defaultProfiles };
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-profiles', async (event, profiles) => {
+  try {
+    const profilesPath = getAppFilePath('profiles');
+
+    await fs.writeFile(profilesPath, JSON.stringify(profiles, null, 2), 'utf-8');
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Mowing zone operations
+ipcMain.handle('load-zones', async (event, profile) => {
+  try {
+    const zonesPath = await getProfileFilePath(profile, 'zones');
+
+    try {
+      const content = await fs.readFile(zonesPath, 'utf-8');
+      return { success: true, zones: JSON.parse(content) };
+    } catch (error) {
+      // No zones defined yet
+      return { success: true, zones: {} };
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-zones', async (event, profile, zones) => {
+  try {
+    const zonesPath = await getProfileFilePath(profile, 'zones');
+
+    await fs.writeFile(zonesPath, JSON.stringify(zones, null, 2), 'utf-8');
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('load-schedules', async (event, profile) => {
+  try {
+    const schedulesPath = await getProfileFilePath(profile, 'schedules');
+
+    try {
+      const content = await fs.readFile(schedulesPath, 'utf-8');
+      return { success: true, schedules: JSON.parse(content) };
+    } catch (error) {
+      // No schedules defined yet
+      return { success: true, schedules: { schedules: {}, log: [] } };
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-schedules', async (event, profile, schedules) => {
+  try {
+    const schedulesPath = await getProfileFilePath(profile, 'schedules');
+
+    await fs.writeFile(schedulesPath, JSON.stringify(schedules, null, 2), 'utf-8');
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('load-ping-history', async (event, profile) => {
+  try {
+    const pingsPath = await getProfileFilePath(profile, 'pings');
+
+    try {
+      const content = await fs.readFile(pingsPath, 'utf-8');
+      return { success: true, history: JSON.parse(content) };
+    } catch (error) {
+      // No pings recorded yet
+      return { success: true, history: {} };
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-ping-history', async (event, profile, history) => {
+  try {
+    const pingsPath = await getProfileFilePath(profile, 'pings');
+
+    await fs.writeFile(pingsPath, JSON.stringify(history), 'utf-8');
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Event log operations
+// Events are stored one JSON object per line so new events can be appended without rewriting the file
+// Once the log exceeds MAX_EVENT_LOG_ENTRIES the oldest events are dropped down to EVENT_LOG_TRIM_TO,
+// so the file is not rewritten on every append
+const MAX_EVENT_LOG_ENTRIES = 50000;
+const EVENT_LOG_TRIM_TO = 45000;
+
+const eventLogs = new Map(); // profile -> Promise of { filePath, events }, shared by requests arriving while the file is read
+
+const readEventLog = async (profile) => {
+  const filePath = await getProfileFilePath(profile, 'events');
+  const log = { filePath, events: [] };
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    log.events = content.split(/\r?\n/).filter(line => line.trim() !== '').reduce((parsed, line) => {
+      try {
+        parsed.push(JSON.parse(line));
+      } catch (error) {
+        // Skip lines damaged by an interrupted write
+      }
+      return parsed;
+    }, []);
+  } catch (error) {
+    // No events logged yet
+  }
+
+  if (trimEventLog(log.events)) {
+    await queueEventLogWrite(() => writeEventLog(log)).catch(error => {
+      console.error('Failed to trim event log:', error.message);
+    });
+  }
+
+  return log;
+};
+
+const loadEventLog = (profile) => {
+  const key = profile || '';
+  if (!eventLogs.has(key)) {
+    eventLogs.set(key, readEventLog(profile));
+  }
+  return eventLogs.get(key);
+};
+
+// Drops the oldest events in place, open incidents are kept until they are acknowledged
+const trimEventLog = (events) => {
+  if (events.length <= MAX_EVENT_LOG_ENTRIES) return false;
+
+  let excess = events.length - EVENT_LOG_TRIM_TO;
+  let kept = 0;
+  events.forEach(entry => {
+    const isOpen = entry.Incident && entry.Incident.Status === 'open';
+    if (excess > 0 && !isOpen) {
+      excess--;
+      return;
     }
+    events[kept++] = entry;
+  });
+  events.length = kept;
+  return true;
+};
+
+const writeEventLog = ({ filePath, events }) => {
+  const content = events.map(e => JSON.stringify(e)).join('\n') + '\n';
+  return fs.writeFile(filePath, content, 'utf-8');
+};
+
+// Appends and rewrites run one after another so an update cannot drop a concurrently appended event
+let eventLogWrites = Promise.resolve();
+
+const queueEventLogWrite = (write) => {
+  const result = eventLogWrites.then(write);
+  eventLogWrites = result.catch(() => {});
+  return result;
+};
+
+ipcMain.handle('append-event', async (event, profile, entry) => {
+  try {
+    const log = await loadEventLog(profile);
+    const { filePath, events } = log;
+
+    if (events.length < MAX_EVENT_LOG_ENTRIES) {
+      await queueEventLogWrite(() => fs.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf-8'));
+      events.push(entry);
+    } else {
+      events.push(entry);
+      trimEventLog(events);
+      await queueEventLogWrite(() => writeEventLog(log));
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-event-incident', async (event, profile, id, incident) => {
+  try {
+    const log = await loadEventLog(profile);
+    const entry = log.events.find(e => e.Id === id);
+    if (!entry) {
+      return { success: false, error: 'Event not found' };
+    }
+
+    entry.Incident = incident;
+    await queueEventLogWrite(() => writeEventLog(log));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('query-events', async (event, profile, { lawnmowerId, severities, statuses, search, from, to, offset = 0, limit = null }) => {
+  try {
+    const { events } = await loadEventLog(profile);
+    const terms = (search || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = events.filter(entry => {
+      if (lawnmowerId !== undefined && lawnmowerId !== null && String(entry.LawnmowerId) !== String(lawnmowerId)) return false;
+      if (severities && severities.length > 0 && !severities.includes(entry.Severity)) return false;
+      if (statuses && statuses.length > 0 && !(entry.Incident && statuses.includes(entry.Incident.Status))) return false;
+
+      const time = new Date(entry.Timestamp).getTime();
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+
+      // Incident comments are searchable together with the message text
+      const comments = entry.Incident ? entry.Incident.History.map(item => item.Comment || '') : [];
+      const text = [entry.Text || '', ...comments].join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    }).reverse(); // Newest first
+
+    return {
+      success: true,
+      total: matches.length,
+      events: limit === null ? matches.slice(offset) : matches.slice(offset, offset + limit)
+    };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('save-config', async (event, config) => {
+// Remote control audit trail, stored one JSON object per line like the event log
+ipcMain.handle('append-audit-entry', async (event, profile, entry) => {
   try {
-    const appPath = app.getAppPath();
-    const exeName = path.basename(process.execPath, '.exe');
-    const configPath = path.join(appPath, `${exeName}.config`);
-    
-    await fs.writeFile(configPath, JSON.stringify(config, null, 2), 'utf-8');
+    await fs.appendFile(await getProfileFilePath(profile, 'audit'), JSON.stringify(entry) + '\n', 'utf-8');
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('load-audit-trail', async (event, profile) => {
+  try {
+    const content = await fs.readFile(await getProfileFilePath(profile, 'audit'), 'utf-8');
+    const entries = content.split(/\r?\n/).filter(line => line.trim() !== '').reduce((result, line) => {
+      try {
+        result.push(JSON.parse(line));
+      } catch (error) {
+        // Skip lines damaged by an interrupted write
+      }
+      return result;
+    }, []);
+    return { success: true, entries };
+  } catch (error) {
+    // No commands sent yet
+    return { success: true, entries: [] };
+  }
+});
+
+// Offline map tiles
+// Lookup order: MBTiles file -> tile cache directory -> online (written back to the cache)
+const MAX_SEED_TILES = 10000;
+const MAX_SEED_ZOOM = 19;
+
+let tileSources = null; // Promise, shared by tile requests arriving before the sources are open
+let tileSeed = null; // { cancelled } while a seed is running
+
+const resolveAppPath = (filePath) => {
+  return path.isAbsolute(filePath) ? filePath : path.join(app.getAppPath(), filePath);
+};
+
+const openTileSources = async () => {
+  // An invalid config file is reported by the renderer, tiles keep working with the defaults meanwhile
+  const { config } = await readConfig().catch(() => ({ config: getDefaultConfig() }));
+  const sources = {
+    cacheDir: resolveAppPath(config.TileCachePath),
+    online: config.OnlineTiles,
+    tileServerUrl: config.TileServerUrl,
+    mbtiles: null
+  };
+
+  if (config.MBTilesPath) {
+    let db = null;
+    try {
+      // node:sqlite ships with the Node runtime bundled in Electron
+      const { DatabaseSync } = require('node:sqlite');
+      db = new DatabaseSync(resolveAppPath(config.MBTilesPath), { readOnly: true });
+      const format = db.prepare("SELECT value FROM metadata WHERE name = 'format'").get();
+      sources.mbtiles = {
+        db,
+        query: db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'),
+        contentType: format && format.value === 'jpg' ? 'image/jpeg' : 'image/png'
+      };
+    } catch (error) {
+      console.error('Failed to open MBTiles file:', error.message);
+      if (db) db.close();
+    }
+  }
+
+  return sources;
+};
+
+const getTileSources = () => {
+  if (!tileSources) {
+    tileSources = openTileSources();
+  }
+  return tileSources;
+};
+
+const resetTileSources = () => {
+  if (!tileSources) return;
+
+  const previous = tileSources;
+  tileSources = null;
+  previous.then(sources => {
+    if (sources.mbtiles) sources.mbtiles.db.close();
+  });
+};
+
+// Cached tiles keep the format the tile server delivered, the extension tells it when serving them
+const tileExtensions = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+
+const getCachedTilePath = (cacheDir, z, x, y, contentType) => {
+  return path.join(cacheDir, String(z), String(x), `${y}.${tileExtensions[contentType]}`);
+};
+
+// Returns { tilePath, contentType } of the cached tile, null if it is not cached
+const findCachedTile = async (cacheDir, z, x, y) => {
+  for (const contentType of Object.keys(tileExtensions)) {
+    const tilePath = getCachedTilePath(cacheDir, z, x, y, contentType);
+    try {
+      await fs.access(tilePath);
+      return { tilePath, contentType };
+    } catch (error) {
+      // Not cached in this format
+    }
+  }
+  return null;
+};
+
+const getTileUrl = (template, z, x, y) => {
+  return template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+};
+
+// The OpenStreetMap tile usage policy forbids bulk downloads, seeding needs a server that permits them
+const isOsmTileServer = (template) => {
+  const { hostname } = new URL(getTileUrl(template, 0, 0, 0));
+  return hostname === 'tile.openstreetmap.org' || hostname.endsWith('.tile.openstreetmap.org');
+};
+
+const downloadTile = async (template, z, x, y) => {
+  const response = await net.fetch(getTileUrl(template, z, x, y), {
+    headers: { 'User-Agent': `GreenBotLawnmowerCockpit/${app.getVersion()}` }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  // Servers that send no content type are assumed to deliver PNG like OpenStreetMap
+  const contentType = (response.headers.get('content-type') || 'image/png').split(';')[0].trim().toLowerCase();
+  if (!tileExtensions[contentType]) {
+    throw new Error(`Unsupported tile format ${contentType}`);
+  }
+
+  return { data: Buffer.from(await response.arrayBuffer()), contentType };
+};
+
+const storeTile = async (cacheDir, z, x, y, { data, contentType }) => {
+  const tilePath = getCachedTilePath(cacheDir, z, x, y, contentType);
+  await fs.mkdir(path.dirname(tilePath), { recursive: true });
+  await fs.writeFile(tilePath, data);
+};
+
+const handleTileRequest = async (request) => {
+  const match = new URL(request.url).pathname.match(/^\/(\d+)\/(\d+)\/(\d+)\.png$/);
+  if (!match) {
+    return new Response(null, { status: 400 });
+  }
+
+  const [z, x, y] = match.slice(1).map(Number);
+  const sources = await getTileSources();
+
+  if (sources.mbtiles) {
+    try {
+      // MBTiles uses TMS row numbering (origin bottom-left)
+      const row = sources.mbtiles.query.get(z, x, Math.pow(2, z) - 1 - y);
+      if (row) {
+        return new Response(row.tile_data, { headers: { 'Content-Type': sources.mbtiles.contentType } });
+      }
+    } catch (error) {
+      // The database was closed by resetTileSources while the request was in flight, continue with the cache
+    }
+  }
+
+  try {
+    const cached = await findCachedTile(sources.cacheDir, z, x, y);
+    if (cached) {
+      const data = await fs.readFile(cached.tilePath);
+      return new Response(data, { headers: { 'Content-Type': cached.contentType } });
+    }
+  } catch (error) {
+    // Unreadable, continue with the online source
+  }
+
+  if (sources.online) {
+    try {
+      const tile = await downloadTile(sources.tileServerUrl, z, x, y);
+      storeTile(sources.cacheDir, z, x, y, tile).catch(error => {
+        console.error('Failed to cache tile:', error.message);
+      });
+      return new Response(tile.data, { headers: { 'Content-Type': tile.contentType } });
+    } catch (error) {
+      // Offline or tile server unavailable
+    }
+  }
+
+  return new Response(null, { status: 404 });
+};
+
+const getTileRange = (bounds, zoom) => {
+  const n = Math.pow(2, zoom);
+  const toTileX = (lng) => Math.floor(((lng + 180) / 360) * n);
+  const toTileY = (lat) => {
+    const rad = lat * Math.PI / 180;
+    return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n);
+  };
+
+  return {
+    minX: Math.max(0, toTileX(bounds.west)),
+    maxX: Math.min(n - 1, toTileX(bounds.east)),
+    minY: Math.max(0, toTileY(bounds.north)),
+    maxY: Math.min(n - 1, toTileY(bounds.south))
+  };
+};
+
+// Bounds and zooms come from the renderer, they are checked before any tile is enumerated
+const validateSeedArea = (bounds, minZoom, maxZoom) => {
+  const isZoom = (zoom) => Number.isInteger(zoom) && zoom >= 0 && zoom <= MAX_SEED_ZOOM;
+  if (!isZoom(minZoom) || !isZoom(maxZoom) || minZoom > maxZoom) {
+    return `Zoom levels must be whole numbers within 0-${MAX_SEED_ZOOM}`;
+  }
+
+  const { north, south, east, west } = bounds || {};
+  const inRange = (value, limit) => Number.isFinite(value) && Math.abs(value) <= limit;
+  if (!inRange(north, 90) || !inRange(south, 90) || !inRange(east, 180) || !inRange(west, 180) || south > north || west > east) {
+    return 'Invalid map area';
+  }
+
+  return null;
+};
+
+const countSeedTiles = (bounds, minZoom, maxZoom) => {
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = getTileRange(bounds, z);
+    count += Math.max(0, range.maxX - range.minX + 1) * Math.max(0, range.maxY - range.minY + 1);
+  }
+  return count;
+};
+
+function* enumerateSeedTiles(bounds, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = getTileRange(bounds, z);
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        yield [z, x, y];
+      }
+    }
+  }
+}
+
+ipcMain.handle('seed-tile-cache', async (event, { bounds, minZoom, maxZoom }) => {
+  if (tileSeed) {
+    return { success: false, error: 'A tile download is already running' };
+  }
+
+  const invalid = validateSeedArea(bounds, minZoom, maxZoom);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  const total = countSeedTiles(bounds, minZoom, maxZoom);
+  if (total > MAX_SEED_TILES) {
+    return { success: false, error: `Too many tiles (${total}), the limit is ${MAX_SEED_TILES}` };
+  }
+
+  const seed = { cancelled: false };
+  tileSeed = seed;
+
+  try {
+    const { cacheDir, tileServerUrl } = await getTileSources();
+    if (isOsmTileServer(tileServerUrl)) {
+      return {
+        success: false,
+        error: 'Bulk downloads from tile.openstreetmap.org are not allowed by its tile usage policy, set TileServerUrl to a server that permits them'
+      };
+    }
+
+    const result = { downloaded: 0, skipped: 0, failed: 0, cancelled: false };
+    let done = 0;
+
+    // Download one tile at a time to respect the tile server usage policy
+    for (const [z, x, y] of enumerateSeedTiles(bounds, minZoom, maxZoom)) {
+      if (seed.cancelled) {
+        result.cancelled = true;
+        break;
+      }
+
+      if (await findCachedTile(cacheDir, z, x, y)) {
+        result.skipped++;
+      } else {
+        try {
+          await storeTile(cacheDir, z, x, y, await downloadTile(tileServerUrl, z, x, y));
+          result.downloaded++;
+        } catch (error) {
+          result.failed++;
+        }
+      }
+
+      done++;
+      event.sender.send('tile-seed-progress', { done, total, ...result });
+    }
+
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    tileSeed = null;
+  }
+});
+
+ipcMain.handle('cancel-tile-seed', () => {
+  if (tileSeed) {
+    tileSeed.cancelled = true;
+  }
+});
+
 // Application info handlers
 ipcMain.handle('get-app-path', () => {
   return app.getAppPath();
@@ -146,6 +944,39 @@ ipcMain.handle('get-version', () => {
   return app.getVersion();
 });
 
+ipcMain.handle('get-user-name', () => {
+  return os.userInfo().username;
+});
+
+// Native notifications
+// Shown notifications are referenced until closed, otherwise their click handler can be garbage collected
+const activeNotifications = new Set();
+
+ipcMain.handle('show-notification', (event, { title, body, urgency, deviceId }) => {
+  if (!Notification.isSupported()) {
+    return { success: false, error: 'Notifications are not supported on this system' };
+  }
+
+  const notification = new Notification({ title, body, urgency: urgency || 'normal' });
+  activeNotifications.add(notification);
+
+  notification.on('click', () => {
+    if (mainWindow) {
+      if (mainWindow.isMinimized()) {
+        mainWindow.restore();
+      }
+      mainWindow.show();
+      mainWindow.focus();
+      mainWindow.webContents.send('notification-clicked', { deviceId });
+    }
+    activeNotifications.delete(notification);
+  });
+  notification.on('close', () => activeNotifications.delete(notification));
+
+  notification.show();
+  return { success: true };
+});
+
 // Window control handlers
 ipcMain.handle('minimize-window', () => {
   if (mainWindow) {
@@ -17,11 +17,52 @@ contextBridge.exposeInMainWorld('electronAPI', {
     
     // Configuration file operations
     loadConfig: () => ipcRenderer.invoke('load-config'),
-    saveConfig: (config) => ipcRenderer.invoke('save-config', config),
+    saveConfig: (changes) => ipcRenderer.invoke('save-config', changes),
+    validateConfig: (config) => ipcRenderer.invoke('validate-config', config),
+    getConfigSchema: () => ipcRenderer.invoke('get-config-schema'),
+    onConfigChanged: (callback) => ipcRenderer.on('config-changed', (event, result) => callback(result)),
+    removeConfigChangedListener: () => ipcRenderer.removeAllListeners('config-changed'),
+    
+    // Connection profile operations
+    loadProfiles: () => ipcRenderer.invoke('load-profiles'),
+    saveProfiles: (profiles) => ipcRenderer.invoke('save-profiles', profiles),
+    
+    // Mowing zone operations
+    loadZones: (profile) => ipcRenderer.invoke('load-zones', profile),
+    saveZones: (profile, zones) => ipcRenderer.invoke('save-zones', profile, zones),
+    
+    // Remote control audit trail
+    appendAuditEntry: (profile, entry) => ipcRenderer.invoke('append-audit-entry', profile, entry),
+    loadAuditTrail: (profile) => ipcRenderer.invoke('load-audit-trail', profile),
+    
+    // Mowing schedule operations
+    loadSchedules: (profile) => ipcRenderer.invoke('load-schedules', profile),
+    saveSchedules: (profile, schedules) => ipcRenderer.invoke('save-schedules', profile, schedules),
+    
+    // Ping history for connectivity diagnostics
+    loadPingHistory: (profile) => ipcRenderer.invoke('load-ping-history', profile),
+    savePingHistory: (profile, history) => ipcRenderer.invoke('save-ping-history', profile, history),
+    
+    // Persistent event log
+    appendEvent: (profile, entry) => ipcRenderer.invoke('append-event', profile, entry),
+    queryEvents: (profile, query) => ipcRenderer.invoke('query-events', profile, query),
+    updateEventIncident: (profile, id, incident) => ipcRenderer.invoke('update-event-incident', profile, id, incident),
+    
+    // Offline map tile cache
+    seedTileCache: (options) => ipcRenderer.invoke('seed-tile-cache', options),
+    cancelTileSeed: () => ipcRenderer.invoke('cancel-tile-seed'),
+    onTileSeedProgress: (callback) => ipcRenderer.on('tile-seed-progress', (event, progress) => callback(progress)),
+    removeTileSeedProgressListener: () => ipcRenderer.removeAllListeners('tile-seed-progress'),
+    
+    // Native notifications
+    showNotification: (options) => ipcRenderer.invoke('show-notification', options),
+    onNotificationClicked: (callback) => ipcRenderer.on('notification-clicked', (event, data) => callback(data)),
+    removeNotificationClickedListener: () => ipcRenderer.removeAllListeners('notification-clicked'),
     
     // Application info
     getAppPath: () => ipcRenderer.invoke('get-app-path'),
     getVersion: () => ipcRenderer.invoke('get-version'),
+    getUserName: () => ipcRenderer.invoke('get-user-name'),
     
     // Window controls
     minimizeWindow: () => ipcRenderer.invoke('minimize-window'),
@@ -5,15 +5,47 @@
 
 class LawnmowerAPI {
     constructor() {
+        this.profile = null;
         this.baseUrl = 'http://localhost:3000';
+        this.hubPath = '/hubs/measurements';
+        this.requestTimeout = 10000; // milliseconds
+        this.hubTimeout = 30000; // milliseconds
+        this.historyChunkSize = 24 * 60 * 60 * 1000; // milliseconds of history per request
         this.hubConnection = null;
         this.isConnected = false;
-        this.subscribers = new Set();
+        this.subscribers = new Map(); // lawnmowerId -> subscription count
         this.connectionHandlers = new Set();
         this.retryAttempts = 0;
         this.maxRetries = 3;
     }
 
+    // Connection profile management
+    configure(profile) {
+        this.profile = profile;
+        this.baseUrl = profile.BaseUrl.replace(/\/+$/, '');
+        this.hubPath = profile.HubPath || '/hubs/measurements';
+        this.requestTimeout = (profile.RequestTimeout || 10) * 1000;
+        this.hubTimeout = (profile.HubTimeout || 30) * 1000;
+    }
+
+    async reset() {
+        // Tear down the hub and REST state but keep handlers registered by the managers
+        if (this.hubConnection) {
+            try {
+                await this.hubConnection.stop();
+            } catch (error) {
+                console.error('Error stopping SignalR connection:', error);
+            }
+            this.hubConnection = null;
+        }
+        this.subscribers.clear();
+        this.retryAttempts = 0;
+
+        if (this.isConnected) {
+            this.notifyConnectionChange(false);
+        }
+    }
+
     // Connection management
     onConnectionChange(handler) {
         this.connectionHandlers.add(handler);
@@ -29,16 +61,39 @@ class LawnmowerAPI {
     }
 
     // REST API Methods
+    // options.signal cancels the request from the caller, on top of the request timeout
     async request(endpoint, options = {}) {
+        const { signal, ...fetchOptions } = options;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+        const cancel = () => controller.abort();
+
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', cancel);
+        }
+
         try {
             const url = `${this.baseUrl}${endpoint}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                ...options
-            });
+            let response;
+            try {
+                response = await fetch(url, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...fetchOptions.headers
+                    },
+                    ...fetchOptions,
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    if (signal && signal.aborted) {
+                        throw LawnmowerAPI.createAbortError();
+                    }
+                    throw new Error(`Request timed out after ${this.requestTimeout / 1000}s`);
+                }
+                throw error;
+            }
 
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -57,6 +112,9 @@ class LawnmowerAPI {
             
             return response;
         } catch (error) {
+            // A cancelled request says nothing about the backend connection
+            if (LawnmowerAPI.isAbortError(error)) throw error;
+
             console.error(`API request failed: ${endpoint}`, error);
             
             // Update connection status on failed request
@@ -65,6 +123,9 @@ class LawnmowerAPI {
             }
             
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', cancel);
         }
     }
 
@@ -134,36 +195,83 @@ class LawnmowerAPI {
         return await this.request(`/api/lawnmowers/${id}/battery/current`);
     }
 
-    async getBatteryHistory(id, from, to) {
-        const params = new URLSearchParams({
-            from: from.toISOString(),
-            to: to.toISOString()
-        });
-        return await this.request(`/api/lawnmowers/${id}/battery/history?${params}`);
+    async getBatteryHistory(id, from, to, options = {}) {
+        return await this.getHistory('battery', id, from, to, options);
     }
 
     async getCurrentGps(id) {
         return await this.request(`/api/lawnmowers/${id}/gps/current`);
     }
 
-    async getGpsHistory(id, from, to) {
-        const params = new URLSearchParams({
-            from: from.toISOString(),
-            to: to.toISOString()
-        });
-        return await this.request(`/api/lawnmowers/${id}/gps/history?${params}`);
+    async getGpsHistory(id, from, to, options = {}) {
+        return await this.getHistory('gps', id, from, to, options);
     }
 
     async getCurrentState(id) {
         return await this.request(`/api/lawnmowers/${id}/state/current`);
     }
 
-    async getStateHistory(id, from, to) {
-        const params = new URLSearchParams({
-            from: from.toISOString(),
-            to: to.toISOString()
-        });
-        return await this.request(`/api/lawnmowers/${id}/state/history?${params}`);
+    async getStateHistory(id, from, to, options = {}) {
+        return await this.getHistory('state', id, from, to, options);
+    }
+
+    // History is requested in time slices of historyChunkSize so long ranges neither hit the
+    // request timeout nor block the renderer. Options:
+    //   signal      - AbortSignal, rejects with an AbortError once aborted
+    //   onChunk     - called with the items of each slice as it arrives, oldest slice first
+    //   onProgress  - called with { loaded, total, items } after each slice
+    //   chunkSize   - slice length in milliseconds, defaults to historyChunkSize
+    async getHistory(type, id, from, to, options = {}) {
+        const { signal, onChunk, onProgress, chunkSize = this.historyChunkSize } = options;
+        const slices = LawnmowerAPI.splitTimeRange(from, to, chunkSize);
+        const items = [];
+        let boundary = new Set(); // measurements at the end of the previous slice
+
+        for (let i = 0; i < slices.length; i++) {
+            if (signal && signal.aborted) throw LawnmowerAPI.createAbortError();
+
+            const params = new URLSearchParams({
+                from: slices[i].from.toISOString(),
+                to: slices[i].to.toISOString()
+            });
+            const response = await this.request(`/api/lawnmowers/${id}/${type}/history?${params}`, { signal });
+            if (signal && signal.aborted) throw LawnmowerAPI.createAbortError();
+
+            // Slices share their boundary, skip measurements the previous slice already returned
+            const sliceStart = slices[i].from.getTime();
+            const chunk = response.filter(item =>
+                new Date(item.timestamp).getTime() !== sliceStart || !boundary.has(JSON.stringify(item)));
+            const sliceEnd = slices[i].to.getTime();
+            boundary = new Set(chunk
+                .filter(item => new Date(item.timestamp).getTime() === sliceEnd)
+                .map(item => JSON.stringify(item)));
+
+            // A day of measurements can exceed the argument limit of push(...chunk)
+            chunk.forEach(item => items.push(item));
+            if (onChunk) onChunk(chunk);
+            if (onProgress) onProgress({ loaded: i + 1, total: slices.length, items: items.length });
+
+            // Let the renderer paint between slices
+            if (i < slices.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return items;
+    }
+
+    static splitTimeRange(from, to, chunkSize) {
+        const slices = [];
+        let start = from.getTime();
+        const end = to.getTime();
+
+        do {
+            const sliceEnd = Math.min(start + chunkSize, end);
+            slices.push({ from: new Date(start), to: new Date(sliceEnd) });
+            start = sliceEnd;
+        } while (start < end);
+
+        return slices;
     }
 
     // Import operations
@@ -203,7 +311,7 @@ class LawnmowerAPI {
     async initializeSignalR() {
         try {
             this.hubConnection = new signalR.HubConnectionBuilder()
-                .withUrl(`${this.baseUrl}/hubs/measurements`)
+                .withUrl(`${this.baseUrl}${this.hubPath}`)
                 .withAutomaticReconnect({
                     nextRetryDelayInMilliseconds: retryContext => {
                         if (retryContext.previousRetryCount === 0) {
@@ -214,6 +322,10 @@ class LawnmowerAPI {
                 })
                 .build();
 
+            // Apply profile timeouts (keep-alive must be at most half the server timeout)
+            this.hubConnection.serverTimeoutInMilliseconds = this.hubTimeout;
+            this.hubConnection.keepAliveIntervalInMilliseconds = this.hubTimeout / 2;
+
             // Set up event handlers
             this.hubConnection.onreconnecting(() => {
                 console.log('SignalR reconnecting...');
@@ -257,12 +369,16 @@ class LawnmowerAPI {
         }
     }
 
+    // Subscriptions are reference counted so several views can watch the same lawnmower
     async subscribeToLawnmower(lawnmowerId) {
         if (this.hubConnection && this.hubConnection.state === signalR.HubConnectionState.Connected) {
+            const count = this.subscribers.get(lawnmowerId) || 0;
             try {
-                await this.hubConnection.invoke('SubscribeLawnmower', lawnmowerId);
-                this.subscribers.add(lawnmowerId);
-                console.log(`Subscribed to lawnmower ${lawnmowerId}`);
+                if (count === 0) {
+                    await this.hubConnection.invoke('SubscribeLawnmower', lawnmowerId);
+                    console.log(`Subscribed to lawnmower ${lawnmowerId}`);
+                }
+                this.subscribers.set(lawnmowerId, count + 1);
             } catch (error) {
                 console.error(`Failed to subscribe to lawnmower ${lawnmowerId}:`, error);
                 throw error;
@@ -272,6 +388,12 @@ class LawnmowerAPI {
 
     async unsubscribeFromLawnmower(lawnmowerId) {
         if (this.hubConnection && this.hubConnection.state === signalR.HubConnectionState.Connected) {
+            const count = this.subscribers.get(lawnmowerId) || 0;
+            if (count > 1) {
+                this.subscribers.set(lawnmowerId, count - 1);
+                return;
+            }
+
             try {
                 await this.hubConnection.invoke('UnsubscribeLawnmower', lawnmowerId);
                 this.subscribers.delete(lawnmowerId);
@@ -283,7 +405,7 @@ class LawnmowerAPI {
     }
 
     async resubscribeAll() {
-        for (const lawnmowerId of this.subscribers) {
+        for (const lawnmowerId of this.subscribers.keys()) {
             try {
                 await this.hubConnection.invoke('SubscribeLawnmower', lawnmowerId);
             } catch (error) {
@@ -345,6 +467,15 @@ class LawnmowerAPI {
         return stateClasses[stateId] || '';
     }
 
+    // Cancellation of history loads
+    static createAbortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    }
+
+    static isAbortError(error) {
+        return error !== null && typeof error === 'object' && error.name === 'AbortError';
+    }
+
     // Remote control action mapping
     static getRemoteActions() {
         return {
@@ -400,6 +531,22 @@ class LawnmowerAPI {
     }
 
     // Format utilities
+    // For user or backend supplied text placed into innerHTML templates (content and attributes)
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // CSV field for exports, quoted when it contains a quote, comma or line break
+    static escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
     static formatTimestamp(timestamp) {
         return new Date(timestamp).toLocaleString();
     }
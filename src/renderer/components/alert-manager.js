@@ -0,0 +1,371 @@
+/**
+ * Alert Manager Component
+ * Handles the declarative alert rules engine evaluated for every subscribed lawnmower
+ */
+
+class AlertManager {
+    constructor(app) {
+        this.app = app;
+        this.rules = [];
+        this.config = {};
+        this.mowers = new Map(); // lawnmowerId -> latest measurements
+        this.ruleStates = new Map(); // "lawnmowerId:ruleId" -> { since, anchor, lastFired }
+        this.evaluationInterval = null;
+        this.currentDialog = null;
+    }
+
+    async initialize() {
+        await this.loadRules();
+
+        // Duration and staleness conditions change without new measurements
+        this.evaluationInterval = setInterval(() => this.evaluateAll(), 5000);
+    }
+
+    // An unreadable config file comes with the defaults, $Setting references must never resolve to nothing
+    async loadRules() {
+        try {
+            const result = await window.electronAPI.loadConfig();
+            this.config = result.config;
+        } catch (error) {
+            // Keep the rules and settings loaded before
+            console.error('Failed to load alert rules:', error);
+        }
+
+        // The default rules come from the config schema when the file has none
+        this.rules = Array.isArray(this.config.AlertRules) ? this.config.AlertRules : [];
+    }
+
+    // Real-time data handlers
+    handleBatteryUpdate(data) {
+        const mower = this.getMower(data.LawnmowerId);
+        mower.battery = data.BatteryLevel;
+        mower.lastSeen = Date.now();
+        this.evaluateMower(data.LawnmowerId);
+    }
+
+    handleGpsUpdate(data) {
+        const mower = this.getMower(data.LawnmowerId);
+        mower.position = { latitude: data.Latitude, longitude: data.Longitude };
+        mower.lastSeen = Date.now();
+        this.evaluateMower(data.LawnmowerId);
+    }
+
+    handleStateUpdate(data) {
+        const mower = this.getMower(data.LawnmowerId);
+        mower.state = data.State;
+        mower.lastSeen = Date.now();
+        this.evaluateMower(data.LawnmowerId);
+    }
+
+    getMower(deviceId) {
+        if (!this.mowers.has(deviceId)) {
+            this.mowers.set(deviceId, { battery: null, state: null, position: null, lastSeen: null });
+        }
+        return this.mowers.get(deviceId);
+    }
+
+    // Rule evaluation
+    evaluateAll() {
+        this.mowers.forEach((_, deviceId) => this.evaluateMower(deviceId));
+    }
+
+    evaluateMower(deviceId) {
+        const mower = this.mowers.get(deviceId);
+        if (!mower) return;
+
+        const now = Date.now();
+        this.rules.filter(rule => rule.Enabled !== false).forEach(rule => {
+            const key = `${deviceId}:${rule.Id}`;
+            const state = this.ruleStates.get(key) || { since: null, anchor: null, lastFired: null };
+            const duration = this.resolveValue(rule.Duration, deviceId) || 0;
+            const cooldown = this.resolveValue(rule.Cooldown, deviceId) || 0;
+
+            // A $Setting that is not loaded would turn the rule into one firing without delay
+            if ([rule.Duration, rule.Cooldown].some(value => value !== undefined && this.resolveValue(value, deviceId) === undefined)) return;
+
+            const context = this.getFieldValues(deviceId, mower, state.anchor, now);
+
+            if (!rule.Conditions.every(condition => this.matchCondition(condition, context, deviceId))) {
+                state.since = null;
+                state.anchor = null;
+                this.ruleStates.set(key, state);
+                return;
+            }
+
+            if (state.since === null) {
+                state.since = now;
+                state.anchor = mower.position;
+            }
+
+            const heldFor = (now - state.since) / 1000;
+            const cooledDown = state.lastFired === null || (now - state.lastFired) / 1000 >= cooldown;
+
+            if (heldFor >= duration && cooledDown) {
+                state.lastFired = now;
+                this.raiseAlert(deviceId, rule, { ...context, duration: Math.round(heldFor) });
+            }
+
+            this.ruleStates.set(key, state);
+        });
+    }
+
+    getFieldValues(deviceId, mower, anchor, now) {
+        const position = mower.position;
+        const insideZone = position && this.app.zoneManager
+            ? this.app.zoneManager.isInsideZones(deviceId, position.latitude, position.longitude)
+            : null;
+
+        return {
+            Battery: mower.battery,
+            State: mower.state,
+            StaleSeconds: mower.lastSeen !== null ? Math.round((now - mower.lastSeen) / 1000) : null,
+            Movement: this.getMovement(anchor, position),
+            InsideZone: insideZone,
+            Latitude: position ? position.latitude : null,
+            Longitude: position ? position.longitude : null
+        };
+    }
+
+    // Meters moved since the rule's conditions started to hold
+    getMovement(anchor, position) {
+        if (!position) return null;
+        if (!anchor) return 0;
+
+        return window.lawnmowerAPI.constructor.calculateDistance(
+            anchor.latitude, anchor.longitude,
+            position.latitude, position.longitude
+        );
+    }
+
+    matchCondition(condition, context, deviceId) {
+        const actual = context[condition.Field];
+        if (actual === null || actual === undefined) return false;
+
+        const expected = Array.isArray(condition.Value)
+            ? condition.Value.map(value => this.resolveValue(value, deviceId))
+            : this.resolveValue(condition.Value, deviceId);
+
+        switch (condition.Operator) {
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case '==': return actual === expected;
+            case '!=': return actual !== expected;
+            case 'in': return Array.isArray(expected) && expected.includes(actual);
+            case 'not in': return Array.isArray(expected) && !expected.includes(actual);
+            default:
+                console.warn(`Unknown alert rule operator: ${condition.Operator}`);
+                return false;
+        }
+    }
+
+    // $Setting refers to a config value, the mower's entry in MowerOverrides takes precedence over the global one
+    resolveValue(value, deviceId = null) {
+        if (typeof value === 'string' && value.startsWith('$')) {
+            const key = value.slice(1);
+            const overrides = deviceId !== null ? this.app.configurationManager.getMowerOverrides(this.config.MowerOverrides, deviceId) : null;
+            return overrides && overrides[key] !== undefined ? overrides[key] : this.config[key];
+        }
+        return value;
+    }
+
+    raiseAlert(deviceId, rule, context) {
+        const text = this.formatMessage(rule.Message || rule.Name, context);
+        const cockpit = this.app.cockpitManager;
+        const isCurrentDevice = cockpit.currentDevice && cockpit.currentDevice.id === deviceId;
+
+        if (isCurrentDevice) {
+            cockpit.addMessage(text, rule.Severity);
+
+            if (rule.MarkLocation && context.Latitude !== null && this.app.mapManager) {
+                this.app.mapManager.markStuckLocation(context.Latitude, context.Longitude);
+            }
+        } else {
+            // The cockpit records messages of the selected mower, alerts of the others are stored here
+            this.app.eventLogManager.record(deviceId, {
+                id: Date.now() + Math.random(),
+                text,
+                type: rule.Severity,
+                timestamp: new Date()
+            });
+
+            if (rule.Severity !== 'info') {
+                const entry = this.app.fleetManager.getFleetStatus(deviceId);
+                const name = entry ? entry.device.name : deviceId;
+                this.app.showToast(`${name}: ${text}`, rule.Severity, 5000);
+            }
+
+            this.app.notificationManager.notify(rule.Severity, text, deviceId);
+        }
+    }
+
+    formatMessage(template, context) {
+        const values = {
+            battery: context.Battery !== null ? Math.round(context.Battery) : '--',
+            state: context.State !== null ? window.lawnmowerAPI.constructor.getStateName(context.State) : 'Unknown',
+            movement: context.Movement !== null ? context.Movement.toFixed(1) : '--',
+            stale: context.StaleSeconds !== null ? context.StaleSeconds : '--',
+            duration: context.duration
+        };
+
+        return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+    }
+
+    resetMower(deviceId) {
+        this.mowers.delete(deviceId);
+        [...this.ruleStates.keys()]
+            .filter(key => key.startsWith(`${deviceId}:`))
+            .forEach(key => this.ruleStates.delete(key));
+    }
+
+    reset() {
+        this.mowers.clear();
+        this.ruleStates.clear();
+    }
+
+    // Alert Rules Dialog
+    showRulesDialog() {
+        const notificationManager = this.app.notificationManager;
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-3xl w-full mx-4">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-semibold text-gray-900">Alert Rules</h3>
+                    <p class="text-sm text-gray-600 mt-1">Rules are evaluated for every subscribed lawnmower and stored in the config file</p>
+                </div>
+
+                <div class="px-6 py-4">
+                    <div class="overflow-auto max-h-96">
+                        <table class="min-w-full">
+                            <thead class="bg-gray-50">
+                                <tr>
+                                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Enabled</th>
+                                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rule</th>
+                                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Severity</th>
+                                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Conditions</th>
+                                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Cooldown</th>
+                                </tr>
+                            </thead>
+                            <tbody class="bg-white divide-y divide-gray-200">
+                                ${this.rules.map(rule => this.generateRuleRow(rule)).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div class="mt-4 pt-4 border-t border-gray-200">
+                        <div class="text-sm font-medium text-gray-700 mb-2">Desktop notifications</div>
+                        <div class="flex space-x-6">
+                            ${['error', 'warning', 'info'].map(severity => `
+                                <label class="flex items-center space-x-2 text-sm text-gray-700">
+                                    <input type="checkbox" class="notify-severity" data-severity="${severity}" ${notificationManager.isEnabled(severity) ? 'checked' : ''}>
+                                    <span>${window.NotificationManager.getSeverityKey(severity)}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+
+                <div class="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+                    <button type="button" id="cancelRulesBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors">
+                        Cancel
+                    </button>
+                    <button type="button" id="saveRulesBtn" class="px-4 py-2 bg-forest text-white rounded hover:bg-greenbot transition-colors">
+                        Save
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.currentDialog = overlay;
+
+        document.getElementById('saveRulesBtn').addEventListener('click', () => this.saveRuleStates());
+        document.getElementById('cancelRulesBtn').addEventListener('click', () => this.closeRulesDialog());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeRulesDialog();
+        });
+    }
+
+    generateRuleRow(rule) {
+        const severityStyles = {
+            info: 'bg-gray-100 text-gray-800',
+            warning: 'bg-yellow-100 text-yellow-800',
+            error: 'bg-red-100 text-red-800'
+        };
+        const describe = (value) => {
+            const resolved = Array.isArray(value) ? value.map(item => this.resolveValue(item)).join(', ') : this.resolveValue(value);
+            return typeof value === 'string' && value.startsWith('$') ? `${resolved} (${value.slice(1)})` : resolved;
+        };
+        const conditions = rule.Conditions
+            .map(condition => `${condition.Field} ${condition.Operator} ${describe(condition.Value)}`)
+            .join(' and ');
+        const duration = rule.Duration ? ` for ${describe(rule.Duration)}s` : '';
+
+        return `
+            <tr class="hover:bg-gray-50">
+                <td class="px-4 py-3">
+                    <input type="checkbox" class="rule-enabled" data-rule-id="${rule.Id}" ${rule.Enabled !== false ? 'checked' : ''}>
+                </td>
+                <td class="px-4 py-3 text-sm font-medium text-gray-900">${rule.Name}</td>
+                <td class="px-4 py-3">
+                    <span class="inline-flex px-2 py-1 text-xs rounded ${severityStyles[rule.Severity] || severityStyles.info}">${rule.Severity}</span>
+                </td>
+                <td class="px-4 py-3 text-xs text-gray-600">${conditions}${duration}</td>
+                <td class="px-4 py-3 text-xs text-gray-600">${describe(rule.Cooldown || 0)}s</td>
+            </tr>
+        `;
+    }
+
+    async saveRuleStates() {
+        const saveBtn = document.getElementById('saveRulesBtn');
+        saveBtn.disabled = true;
+
+        try {
+            // Only the Enabled flags and notification severities are written, the rules stay as stored
+            const changes = [...this.currentDialog.querySelectorAll('.rule-enabled')].map(checkbox => ({
+                path: ['AlertRules', { Id: checkbox.dataset.ruleId }, 'Enabled'],
+                value: checkbox.checked
+            }));
+
+            const notifications = {};
+            this.currentDialog.querySelectorAll('.notify-severity').forEach(checkbox => {
+                const key = window.NotificationManager.getSeverityKey(checkbox.dataset.severity);
+                notifications[key] = checkbox.checked;
+                changes.push({ path: ['Notifications', key], value: checkbox.checked });
+            });
+
+            const result = await window.electronAPI.saveConfig(changes);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            await this.loadRules();
+
+            this.app.notificationManager.setPreferences(notifications);
+
+            this.app.showToast('Alert rules saved', 'success');
+            this.closeRulesDialog();
+        } catch (error) {
+            console.error('Failed to save alert rules:', error);
+            this.app.showToast('Failed to save alert rules', 'error');
+            saveBtn.disabled = false;
+        }
+    }
+
+    closeRulesDialog() {
+        if (this.currentDialog) {
+            document.body.removeChild(this.currentDialog);
+            this.currentDialog = null;
+        }
+    }
+
+    // Public interface
+    getRules() {
+        return this.rules;
+    }
+}
+
+// Export for use in main.js
+window.AlertManager = AlertManager;
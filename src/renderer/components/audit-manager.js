@@ -0,0 +1,272 @@
+/**
+ * Audit Manager Component
+ * Handles the audit trail of remote control commands sent manually, by schedule or as batch
+ */
+
+class AuditManager {
+    constructor(app) {
+        this.app = app;
+        this.entries = []; // Oldest first, as stored in the audit file
+        this.profile = null; // Connection profile the audit trail belongs to
+        this.operator = '';
+        this.currentDialog = null;
+    }
+
+    async initialize() {
+        await this.loadOperator();
+        await this.loadAuditTrail();
+    }
+
+    // Also called after switching the connection profile
+    async loadAuditTrail() {
+        this.profile = this.app.profileManager.getActiveProfileName();
+        this.entries = [];
+
+        try {
+            const result = await window.electronAPI.loadAuditTrail(this.profile);
+            if (result.success) {
+                this.entries = result.entries;
+            }
+        } catch (error) {
+            console.error('Failed to load audit trail:', error);
+        }
+    }
+
+    async loadOperator() {
+        try {
+            const [configResult, userName] = await Promise.all([
+                window.electronAPI.loadConfig(),
+                window.electronAPI.getUserName()
+            ]);
+            const configured = configResult.config ? configResult.config.OperatorName : '';
+            this.operator = configured || userName;
+        } catch (error) {
+            console.error('Failed to determine operator name:', error);
+            this.operator = 'unknown';
+        }
+    }
+
+    async record({ deviceId, action, source, stateBefore, stateAfter, result, error }) {
+        const device = this.app.lawnmowers.find(m => m.id == deviceId);
+        const entry = {
+            Timestamp: new Date().toISOString(),
+            Operator: this.operator,
+            LawnmowerId: deviceId,
+            LawnmowerName: device ? device.name : '',
+            Action: action,
+            Source: source,
+            StateBefore: stateBefore,
+            StateAfter: stateAfter,
+            Result: result,
+            Error: error || ''
+        };
+
+        this.entries.push(entry);
+
+        try {
+            const saveResult = await window.electronAPI.appendAuditEntry(this.profile, entry);
+            if (!saveResult.success) {
+                throw new Error(saveResult.error);
+            }
+        } catch (saveError) {
+            console.error('Failed to store audit entry:', saveError);
+        }
+
+        if (this.currentDialog) {
+            this.renderEntries();
+        }
+    }
+
+    // Audit dialog
+    showAuditDialog() {
+        if (this.currentDialog) return;
+
+        const distinct = (field) => [...new Set(this.entries.map(entry => entry[field]))].filter(Boolean).sort();
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
+        const options = (values) => values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+        const selectClass = 'px-2 py-1 text-xs border border-gray-300 rounded';
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-5xl w-full mx-4">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-semibold text-gray-900">Remote Control Audit Trail</h3>
+                    <p class="text-sm text-gray-600 mt-1">Every remote control command with operator, state before and after, and result</p>
+                </div>
+
+                <div class="px-6 py-4 space-y-3">
+                    <div class="flex flex-wrap items-center gap-2">
+                        <select id="auditMower" class="${selectClass}">
+                            <option value="">All mowers</option>
+                            ${this.app.lawnmowers.map(mower => `<option value="${escapeHtml(mower.id)}">${escapeHtml(mower.name)}</option>`).join('')}
+                        </select>
+                        <select id="auditAction" class="${selectClass}">
+                            <option value="">All actions</option>
+                            ${options(window.RemoteControlManager.getCommands().map(command => command.name))}
+                        </select>
+                        <select id="auditSource" class="${selectClass}">
+                            <option value="">All sources</option>
+                            ${options(['manual', 'schedule', 'batch'])}
+                        </select>
+                        <select id="auditResult" class="${selectClass}">
+                            <option value="">All results</option>
+                            ${options(['confirmed', 'timed out', 'rejected'])}
+                        </select>
+                        <select id="auditOperator" class="${selectClass}">
+                            <option value="">All operators</option>
+                            ${options(distinct('Operator'))}
+                        </select>
+                        <input type="datetime-local" id="auditFrom" title="From" class="${selectClass}">
+                        <input type="datetime-local" id="auditTo" title="To" class="${selectClass}">
+                    </div>
+
+                    <div class="overflow-auto max-h-96">
+                        <table class="min-w-full">
+                            <thead class="bg-gray-50 sticky top-0">
+                                <tr>
+                                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Operator</th>
+                                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Mower</th>
+                                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Before</th>
+                                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">After</th>
+                                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                                </tr>
+                            </thead>
+                            <tbody id="auditEntries" class="bg-white divide-y divide-gray-200"></tbody>
+                        </table>
+                    </div>
+                    <div id="auditCount" class="text-xs text-gray-600"></div>
+                </div>
+
+                <div class="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+                    <button type="button" id="closeAuditBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors">
+                        Close
+                    </button>
+                    <button type="button" id="exportAuditBtn" class="px-4 py-2 bg-forest text-white rounded hover:bg-greenbot transition-colors">
+                        Export CSV
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.currentDialog = overlay;
+
+        overlay.querySelectorAll('select, input').forEach(element => {
+            element.addEventListener('change', () => this.renderEntries());
+        });
+        document.getElementById('exportAuditBtn').addEventListener('click', () => this.exportCsv());
+        document.getElementById('closeAuditBtn').addEventListener('click', () => this.closeAuditDialog());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeAuditDialog();
+        });
+
+        this.renderEntries();
+    }
+
+    // Newest first, filtered by the dialog controls
+    getFilteredEntries() {
+        const value = (id) => document.getElementById(id).value;
+        const from = value('auditFrom') ? new Date(value('auditFrom')) : null;
+        const to = value('auditTo') ? new Date(value('auditTo')) : null;
+
+        return this.entries.filter(entry => {
+            const timestamp = new Date(entry.Timestamp);
+            return (!value('auditMower') || String(entry.LawnmowerId) === value('auditMower')) &&
+                (!value('auditAction') || entry.Action === value('auditAction')) &&
+                (!value('auditSource') || entry.Source === value('auditSource')) &&
+                (!value('auditResult') || entry.Result === value('auditResult')) &&
+                (!value('auditOperator') || entry.Operator === value('auditOperator')) &&
+                (!from || timestamp >= from) &&
+                (!to || timestamp <= to);
+        }).reverse();
+    }
+
+    renderEntries() {
+        const api = window.lawnmowerAPI.constructor;
+        const escapeHtml = api.escapeHtml;
+        const stateName = (state) => state !== null && state !== undefined ? api.getStateName(state) : '--';
+        const resultStyles = { confirmed: 'text-green-700', 'timed out': 'text-yellow-700', rejected: 'text-signal-red' };
+        const entries = this.getFilteredEntries();
+
+        document.getElementById('auditCount').textContent = `${entries.length} of ${this.entries.length} commands`;
+
+        if (entries.length === 0) {
+            document.getElementById('auditEntries').innerHTML =
+                '<tr><td colspan="8" class="px-3 py-4 text-center text-sm text-gray-500">No commands matching filter</td></tr>';
+            return;
+        }
+
+        document.getElementById('auditEntries').innerHTML = entries.map(entry => `
+            <tr class="hover:bg-gray-50">
+                <td class="px-3 py-2 text-xs text-gray-700">${new Date(entry.Timestamp).toLocaleString()}</td>
+                <td class="px-3 py-2 text-xs text-gray-700">${escapeHtml(entry.Operator)}</td>
+                <td class="px-3 py-2 text-xs text-gray-900">${escapeHtml(entry.LawnmowerName || entry.LawnmowerId)}</td>
+                <td class="px-3 py-2 text-xs font-medium text-gray-900">${entry.Action}</td>
+                <td class="px-3 py-2 text-xs text-gray-700">${entry.Source}</td>
+                <td class="px-3 py-2 text-xs text-gray-700">${stateName(entry.StateBefore)}</td>
+                <td class="px-3 py-2 text-xs text-gray-700">${stateName(entry.StateAfter)}</td>
+                <td class="px-3 py-2 text-xs font-medium ${resultStyles[entry.Result] || ''}" title="${escapeHtml(entry.Error || '')}">${entry.Result}</td>
+            </tr>
+        `).join('');
+    }
+
+    async exportCsv() {
+        const entries = this.getFilteredEntries();
+        if (entries.length === 0) {
+            this.app.showToast('No commands matching filter', 'warning');
+            return;
+        }
+
+        const api = window.lawnmowerAPI.constructor;
+        const stateName = (state) => state !== null && state !== undefined ? api.getStateName(state) : '';
+
+        const lines = entries.map(entry => [
+            entry.Timestamp,
+            entry.Operator,
+            entry.LawnmowerId,
+            entry.LawnmowerName,
+            entry.Action,
+            entry.Source,
+            stateName(entry.StateBefore),
+            stateName(entry.StateAfter),
+            entry.Result,
+            entry.Error
+        ].map(api.escapeCsv).join(','));
+        const csv = ['timestamp,operator,lawnmowerId,lawnmowerName,action,source,stateBefore,stateAfter,result,error', ...lines].join('\r\n');
+
+        try {
+            const result = await window.electronAPI.showSaveDialog({
+                defaultPath: `remote-control-audit-${new Date().toISOString().split('T')[0]}.csv`,
+                filters: [
+                    { name: 'CSV Files', extensions: ['csv'] }
+                ]
+            });
+
+            if (result.canceled) return;
+
+            const writeResult = await window.electronAPI.writeFile(result.filePath, csv);
+            if (!writeResult.success) {
+                throw new Error(writeResult.error);
+            }
+
+            this.app.showToast(`Exported ${entries.length} commands`, 'success');
+        } catch (error) {
+            console.error('Failed to export audit trail:', error);
+            this.app.showToast('Failed to export audit trail', 'error');
+        }
+    }
+
+    closeAuditDialog() {
+        if (this.currentDialog) {
+            document.body.removeChild(this.currentDialog);
+            this.currentDialog = null;
+        }
+    }
+}
+
+// Export for use in main.js
+window.AuditManager = AuditManager;
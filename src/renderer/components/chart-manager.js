@@ -10,6 +10,8 @@ class ChartManager {
         this.currentDevice = null;
         this.batteryData = [];
         this.isLiveMode = true;
+        this.playbackTime = null;
+        this.historyController = null; // cancels the history load of a superseded chart
     }
 
     async initialize() {
@@ -62,6 +64,14 @@ class ChartManager {
             this.batteryChart = null;
         }
 
+        // Only the most recent load may render, cancel any that is still running
+        if (this.historyController) {
+            this.historyController.abort();
+            this.hideChartLoading('batteryChart');
+        }
+        const controller = new AbortController();
+        this.historyController = controller;
+
         try {
             // Show loading
             this.showChartLoading('batteryChart');
@@ -69,26 +79,54 @@ class ChartManager {
             // Get time range
             const timeRange = this.getTimeRange();
             
-            // Load battery history
-            const history = await window.lawnmowerAPI.getBatteryHistory(
+            // Load battery history, the chart grows as each slice arrives
+            this.batteryData = [];
+            await window.lawnmowerAPI.getBatteryHistory(
                 this.currentDevice.id,
                 timeRange.from,
-                timeRange.to
+                timeRange.to,
+                {
+                    signal: controller.signal,
+                    onChunk: (chunk) => this.appendBatteryData(chunk),
+                    onProgress: (progress) => this.updateChartLoading('batteryChart', progress)
+                }
             );
 
-            this.batteryData = history.map(item => ({
-                timestamp: new Date(item.timestamp),
-                level: item.batteryLevel
-            })).sort((a, b) => a.timestamp - b.timestamp);
-
-            await this.renderBatteryChart();
+            // The prediction needs the whole series, so live mode draws once more after the last slice
+            if (!this.batteryChart || this.isLiveMode) {
+                await this.renderBatteryChart();
+            }
 
         } catch (error) {
+            if (window.lawnmowerAPI.constructor.isAbortError(error)) return;
             console.error('Failed to load battery chart:', error);
             this.showChartError('batteryChart', 'Failed to load battery data');
         } finally {
-            this.hideChartLoading('batteryChart');
+            if (this.historyController === controller) {
+                this.historyController = null;
+                this.hideChartLoading('batteryChart');
+            }
+        }
+    }
+
+    // Slices arrive oldest first, so each one only needs sorting within itself
+    appendBatteryData(chunk) {
+        const data = chunk.map(item => ({
+            timestamp: new Date(item.timestamp),
+            level: item.batteryLevel
+        })).sort((a, b) => a.timestamp - b.timestamp);
+        if (data.length === 0) return;
+
+        data.forEach(item => this.batteryData.push(item));
+
+        if (this.batteryChart) {
+            const dataset = this.batteryChart.data.datasets[0].data;
+            data.forEach(item => dataset.push({ x: item.timestamp, y: item.level }));
+            this.batteryChart.update('none');
+        } else {
+            this.renderBatteryChart();
         }
+        this.revealChartLoading('batteryChart');
     }
 
     async renderBatteryChart() {
@@ -212,7 +250,11 @@ class ChartManager {
                     duration: 750,
                     easing: 'easeInOutQuart'
                 }
-            }
+            },
+            plugins: [{
+                id: 'playbackCursor',
+                afterDatasetsDraw: (chart) => this.drawPlaybackCursor(chart)
+            }]
         });
 
         // Add chart click handler for data point details
@@ -224,6 +266,11 @@ class ChartManager {
                 const dataPoint = this.batteryData[firstPoint.index];
                 if (dataPoint) {
                     this.showDataPointDetails(dataPoint, evt);
+
+                    // Jump the track playback to the selected measurement
+                    if (this.app.playbackManager.isActive()) {
+                        this.app.playbackManager.seek(dataPoint.timestamp);
+                    }
                 }
             }
         };
@@ -313,6 +360,34 @@ class ChartManager {
         chart.update('none'); // Update without animation for real-time
     }
 
+    // Track playback cursor
+    setPlaybackTime(time) {
+        this.playbackTime = time;
+
+        if (this.batteryChart) {
+            this.batteryChart.draw();
+        }
+    }
+
+    drawPlaybackCursor(chart) {
+        if (!this.playbackTime) return;
+
+        const x = chart.scales.x.getPixelForValue(this.playbackTime.getTime());
+        const { top, bottom, left, right } = chart.chartArea;
+        if (x < left || x > right) return;
+
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#FF7979';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.restore();
+    }
+
     showDataPointDetails(dataPoint, event) {
         const tooltip = document.createElement('div');
         tooltip.className = 'chart-tooltip';
@@ -337,21 +412,7 @@ class ChartManager {
     }
 
     getTimeRange() {
-        const cockpit = this.app.cockpitManager;
-        const now = new Date();
-        const config = cockpit.getConfig();
-        
-        if (cockpit.isInLiveMode()) {
-            return {
-                from: new Date(now.getTime() - config.liveRange * 1000),
-                to: now
-            };
-        } else {
-            return {
-                from: new Date(now.getTime() - config.historyRange * 1000),
-                to: now
-            };
-        }
+        return this.app.cockpitManager.getTimeRange();
     }
 
     showChartLoading(chartId) {
@@ -374,6 +435,23 @@ class ChartManager {
         container.appendChild(loadingDiv);
     }
 
+    updateChartLoading(chartId, progress) {
+        const chartElement = document.getElementById(chartId);
+        const loadingText = chartElement?.parentElement?.querySelector('.chart-loading-overlay .loading-text');
+        if (loadingText && progress.total > 1) {
+            loadingText.textContent = `Loading chart data... ${Math.round(progress.loaded / progress.total * 100)}%`;
+        }
+    }
+
+    // Once part of the data is drawn, the overlay keeps only its progress text and lets the chart show through
+    revealChartLoading(chartId) {
+        const chartElement = document.getElementById(chartId);
+        const loadingDiv = chartElement?.parentElement?.querySelector('.chart-loading-overlay');
+        if (loadingDiv) {
+            loadingDiv.classList.add('chart-loading-partial');
+        }
+    }
+
     hideChartLoading(chartId) {
         const chartElement = document.getElementById(chartId);
         if (!chartElement) return;
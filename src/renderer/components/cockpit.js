@@ -10,14 +10,23 @@ class CockpitManager {
         this.isLiveMode = true;
         this.staleDataBanner = null;
         this.messages = [];
+        this.incidentCount = 0; // Unacknowledged warnings and errors for the current device
+        this.renderedMessages = new Map(); // message id -> message shown on the current page
+        this.messagePage = 0;
+        this.messagePageSize = 100;
+        this.messageRenderId = 0;
         this.lastStates = new Map(); // Track previous states for change detection
-        this.stuckPositions = new Map(); // Track stuck detection
+        this.zoneStates = new Map(); // Track whether each device is inside its mowing zones
         this.config = {
             stuckThreshold: 90, // seconds
             batteryLowThreshold: 10, // percent
             liveRange: 5 * 60, // 5 minutes in seconds
-            historyRange: 60 * 60 // 60 minutes in seconds
+            historyRange: 60 * 60, // 60 minutes in seconds
+            cuttingWidth: 0.3 // meters
         };
+        this.overrides = {}; // MowerOverrides: profile -> lawnmowerId -> { StuckDetectionThreshold, BatteryLowThreshold }
+        this.customRange = null; // { text, spec } while a custom time range is selected
+        this.lastChargeEnd = null; // Resolved for the "since last charge" range
         this.pollingInterval = null;
         this.realTimeEnabled = true;
     }
@@ -28,42 +37,56 @@ class CockpitManager {
         this.setupMessageFilters();
     }
 
-    async loadConfiguration() {
+    // The default view only applies on startup, reloading the configuration keeps the current view
+    async loadConfiguration(applyDefaultView = true) {
         try {
+            // Settings missing from the file are filled with the schema defaults, also when it could not be read
             const result = await window.electronAPI.loadConfig();
-            if (result.success) {
+            if (result.config) {
                 this.config = {
-                    stuckThreshold: result.config.StuckDetectionThreshold || 90,
-                    batteryLowThreshold: result.config.BatteryLowThreshold || 10,
-                    liveRange: this.parseTimeRange(result.config.LiveRange) || 5 * 60,
-                    historyRange: this.parseTimeRange(result.config.HistoryRange) || 60 * 60
+                    stuckThreshold: result.config.StuckDetectionThreshold,
+                    batteryLowThreshold: result.config.BatteryLowThreshold,
+                    // A duration the time range grammar rejects (e.g. "0 minutes") keeps the current range
+                    liveRange: this.parseTimeRange(result.config.LiveRange) || this.config.liveRange,
+                    historyRange: this.parseTimeRange(result.config.HistoryRange) || this.config.historyRange,
+                    cuttingWidth: result.config.CuttingWidth
                 };
-                this.isLiveMode = result.config.DefaultView === 'Live';
-                
-                // Update time range selector
-                document.getElementById('timeRangeSelector').value = this.isLiveMode ? 'live' : 'history';
+                this.overrides = result.config.MowerOverrides || {};
+                if (applyDefaultView) {
+                    this.isLiveMode = result.config.DefaultView === 'Live';
+
+                    // Update time range selector
+                    document.getElementById('timeRangeSelector').value = this.isLiveMode ? 'live' : 'history';
+                }
             }
         } catch (error) {
             console.error('Failed to load configuration:', error);
         }
     }
 
+    // LiveRange and HistoryRange are durations of the time range grammar, e.g. "last 2 days"
     parseTimeRange(rangeStr) {
-        if (!rangeStr) return null;
-        
-        const match = rangeStr.match(/(\d+)\s*(minute|hour)s?/i);
-        if (match) {
-            const value = parseInt(match[1]);
-            const unit = match[2].toLowerCase();
-            return unit === 'hour' ? value * 3600 : value * 60;
-        }
-        return null;
+        return window.TimeRange.parseDuration(rangeStr);
     }
 
+    // The selector itself is handled by the app, this sets up the custom range picker next to it
     setupTimeRangeSelector() {
-        const selector = document.getElementById('timeRangeSelector');
-        selector.addEventListener('change', (e) => {
-            this.changeTimeRange(e.target.value === 'live');
+        const input = document.getElementById('timeRangeInput');
+
+        document.getElementById('applyTimeRangeBtn').addEventListener('click', () => this.setCustomRange(input.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.setCustomRange(input.value);
+        });
+
+        // Picking dates turns the expression into an absolute range
+        ['timeRangeFrom', 'timeRangeTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const from = document.getElementById('timeRangeFrom').value;
+                const to = document.getElementById('timeRangeTo').value;
+                if (from && to) {
+                    input.value = `${from}/${to}`;
+                }
+            });
         });
     }
 
@@ -73,6 +96,32 @@ class CockpitManager {
                 this.setMessageFilter(e.target.dataset.filter);
             });
         });
+
+        let searchTimeout = null;
+        document.getElementById('messageSearch').addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.applyMessageFilters(), 300);
+        });
+        document.getElementById('messageFrom').addEventListener('change', () => this.applyMessageFilters());
+        document.getElementById('messageTo').addEventListener('change', () => this.applyMessageFilters());
+
+        document.getElementById('messagePrevBtn').addEventListener('click', () => {
+            this.messagePage = Math.max(0, this.messagePage - 1);
+            this.renderMessages();
+        });
+        document.getElementById('messageNextBtn').addEventListener('click', () => {
+            this.messagePage++;
+            this.renderMessages();
+        });
+
+        document.getElementById('exportMessagesBtn').addEventListener('click', () => this.exportMessages());
+
+        document.getElementById('messagesList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-incident-action]');
+            if (button) {
+                this.handleIncidentAction(button.dataset.messageId, button.dataset.incidentAction);
+            }
+        });
     }
 
     async setDevice(device) {
@@ -84,8 +133,9 @@ class CockpitManager {
 
         this.currentDevice = device;
         this.messages = [];
+        this.messagePage = 0;
         this.lastStates.clear();
-        this.stuckPositions.clear();
+        this.zoneStates.clear();
 
         if (!device) {
             this.clearCockpitData();
@@ -94,6 +144,7 @@ class CockpitManager {
 
         // Update cockpit header
         this.updateDeviceHeader();
+        await this.loadIncidentCount();
 
         // Subscribe to real-time updates
         try {
@@ -186,7 +237,6 @@ class CockpitManager {
         if (!this.currentDevice || data.LawnmowerId !== this.currentDevice.id) return;
         
         this.updateBatteryLevel(data.BatteryLevel, new Date());
-        this.checkBatteryWarnings(data.BatteryLevel);
         this.app.updateLastUpdateTime();
     }
 
@@ -194,7 +244,7 @@ class CockpitManager {
         if (!this.currentDevice || data.LawnmowerId !== this.currentDevice.id) return;
         
         await this.updateGpsPosition(data.Latitude, data.Longitude, new Date());
-        this.checkStuckDetection(data.Latitude, data.Longitude);
+        this.checkZoneViolation(data.Latitude, data.Longitude);
         this.app.updateLastUpdateTime();
     }
 
@@ -221,7 +271,7 @@ class CockpitManager {
         batteryElement.className = '';
         if (level <= 0) {
             batteryElement.className = 'battery-critical';
-        } else if (level < this.config.batteryLowThreshold) {
+        } else if (level < this.getConfig().batteryLowThreshold) {
             batteryElement.className = 'battery-low';
         } else {
             batteryElement.className = 'battery-normal';
@@ -240,11 +290,6 @@ class CockpitManager {
         
         statusElement.textContent = stateName;
         statusElement.className = stateClass;
-
-        // Handle error state visual feedback
-        if (stateId === 5) { // Error state
-            this.addMessage('Device entered error state', 'error');
-        }
     }
 
     async updateGpsPosition(latitude, longitude, timestamp) {
@@ -253,75 +298,30 @@ class CockpitManager {
             await this.app.mapManager.updatePosition(latitude, longitude, timestamp);
         }
 
-        // Store latest position for stuck detection
+        // Store latest position
         this.lastPosition = { latitude, longitude, timestamp };
     }
 
     // Warning and alert systems
-    checkBatteryWarnings(level) {
-        if (level === 0) {
-            this.addMessage('Battery empty - device shutting down', 'error');
-        } else if (level < this.config.batteryLowThreshold) {
-            this.addMessage(`Battery low: ${Math.round(level)}%`, 'warning');
-        }
-    }
-
-    checkStuckDetection(latitude, longitude) {
-        if (!this.currentDevice) return;
+    // Battery, stuck and error alerts are evaluated by the AlertManager rules
+    checkZoneViolation(latitude, longitude) {
+        if (!this.currentDevice || !this.app.zoneManager) return;
 
         const deviceId = this.currentDevice.id;
-        const currentState = this.lastStates.get(deviceId);
-        
-        // Only check for stuck in Mowing or ReturningToStation states
-        if (currentState !== 2 && currentState !== 3) {
-            this.stuckPositions.delete(deviceId);
-            return;
-        }
-
-        const now = Date.now();
-        const stuckData = this.stuckPositions.get(deviceId);
-
-        if (!stuckData) {
-            // First position recorded
-            this.stuckPositions.set(deviceId, {
-                latitude,
-                longitude,
-                timestamp: now
-            });
-            return;
-        }
-
-        // Calculate distance moved
-        const distance = window.lawnmowerAPI.constructor.calculateDistance(
-            stuckData.latitude, stuckData.longitude,
-            latitude, longitude
-        );
-
-        if (distance > 1) { // Moved more than 1 meter
-            // Reset stuck detection
-            this.stuckPositions.set(deviceId, {
-                latitude,
-                longitude,
-                timestamp: now
-            });
-        } else {
-            // Check if stuck for too long
-            const stuckTime = (now - stuckData.timestamp) / 1000;
-            if (stuckTime > this.config.stuckThreshold) {
-                this.addMessage(`Device appears to be stuck (${Math.round(stuckTime)}s without movement)`, 'error');
-                
-                // Mark stuck location on map
-                if (this.app.mapManager) {
-                    this.app.mapManager.markStuckLocation(latitude, longitude);
-                }
-
-                // Reset to avoid spam
-                this.stuckPositions.set(deviceId, {
-                    latitude,
-                    longitude,
-                    timestamp: now
-                });
+        const inside = this.app.zoneManager.isInsideZones(deviceId, latitude, longitude);
+        if (inside === null) return; // No zones defined for this device
+
+        const wasInside = this.zoneStates.get(deviceId);
+        this.zoneStates.set(deviceId, inside);
+
+        if (!inside && wasInside !== false) {
+            this.addMessage('Device left its mowing zone', 'error');
+            this.app.zoneManager.setViolation(deviceId, { latitude, longitude });
+        } else if (inside) {
+            if (wasInside === false) {
+                this.addMessage('Device returned to its mowing zone', 'info');
             }
+            this.app.zoneManager.setViolation(deviceId, null);
         }
     }
 
@@ -349,52 +349,205 @@ class CockpitManager {
 
         this.messages.unshift(message); // Add to beginning
         
-        // Limit message history
+        // Limit in-memory history, the full history is kept in the event log
         if (this.messages.length > 1000) {
             this.messages = this.messages.slice(0, 1000);
         }
 
-        // Update message count
-        document.getElementById('messageCount').textContent = this.messages.length;
+        if (this.currentDevice) {
+            const deviceId = this.currentDevice.id;
+            this.app.eventLogManager.record(deviceId, message).then(() => {
+                if (window.EventLogManager.isIncidentSeverity(type)) {
+                    this.loadIncidentCount();
+                }
 
-        // Update message display if visible
-        if (this.app.currentTab === 'messages') {
-            this.renderMessages();
+                // Update message display if visible
+                if (this.app.currentTab === 'messages' && this.currentDevice && this.currentDevice.id === deviceId) {
+                    this.renderMessages();
+                }
+            });
+        }
+
+        // Historical messages carry their own timestamp and are not notified again
+        if (!timestamp && this.currentDevice && this.app.notificationManager) {
+            this.app.notificationManager.notify(type, text, this.currentDevice.id);
         }
 
         console.log(`[${type.toUpperCase()}] ${messageTimestamp.toLocaleTimeString()}: ${text}`);
     }
 
-    renderMessages() {
-        const messagesList = document.getElementById('messagesList');
+    async loadIncidentCount() {
+        if (!this.currentDevice) return;
+
+        try {
+            this.incidentCount = await this.app.eventLogManager.countOpenIncidents(this.currentDevice.id);
+        } catch (error) {
+            console.error('Failed to load event log:', error);
+            this.incidentCount = 0;
+        }
+
+        this.updateIncidentBadge();
+    }
+
+    updateIncidentBadge() {
+        const badge = document.getElementById('incidentCount');
+        badge.textContent = this.incidentCount;
+        badge.className = this.incidentCount > 0 ? 'font-bold text-signal-red' : 'font-bold text-gray-800';
+    }
+
+    getMessageFilters() {
         const activeFilter = document.querySelector('.filter-btn.active').dataset.filter;
-        
-        let filteredMessages = this.messages;
-        if (activeFilter !== 'all') {
-            filteredMessages = this.messages.filter(msg => msg.type === activeFilter);
+        const from = document.getElementById('messageFrom').value;
+        const to = document.getElementById('messageTo').value;
+
+        return {
+            severities: activeFilter !== 'all' && activeFilter !== 'open' ? [activeFilter] : null,
+            statuses: activeFilter === 'open' ? ['open'] : null,
+            search: document.getElementById('messageSearch').value.trim(),
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null
+        };
+    }
+
+    async renderMessages() {
+        const messagesList = document.getElementById('messagesList');
+        if (!this.currentDevice) {
+            messagesList.innerHTML = '<div class="p-4 text-center text-gray-500">No messages yet</div>';
+            this.updateMessagePagination(0, 0);
+            return;
+        }
+
+        // Ignore results of renders that were overtaken by newer ones
+        const renderId = ++this.messageRenderId;
+
+        let page;
+        try {
+            page = await this.app.eventLogManager.query(
+                this.currentDevice.id,
+                this.getMessageFilters(),
+                this.messagePage * this.messagePageSize,
+                this.messagePageSize
+            );
+        } catch (error) {
+            console.error('Failed to query event log:', error);
+            if (renderId === this.messageRenderId) {
+                messagesList.innerHTML = '<div class="p-4 text-center text-signal-red">Failed to load messages</div>';
+            }
+            return;
         }
 
-        if (filteredMessages.length === 0) {
+        if (renderId !== this.messageRenderId) return;
+
+        // The log may have been filtered down below the current page
+        const lastPage = Math.max(0, Math.ceil(page.total / this.messagePageSize) - 1);
+        if (this.messagePage > lastPage) {
+            this.messagePage = lastPage;
+            return this.renderMessages();
+        }
+
+        this.updateMessagePagination(page.total, page.messages.length);
+
+        if (page.messages.length === 0) {
             messagesList.innerHTML = '<div class="p-4 text-center text-gray-500">No messages matching filter</div>';
             return;
         }
 
-        const messagesHtml = filteredMessages.slice(0, 100).map(msg => `
+        const today = new Date().toDateString();
+        const formatTime = (date) => date.toDateString() === today ? date.toLocaleTimeString() : date.toLocaleString();
+
+        this.renderedMessages = new Map(page.messages.map(msg => [String(msg.id), msg]));
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
+
+        const messagesHtml = page.messages.map(msg => `
             <div class="message-item message-${msg.type} p-3 border-b border-gray-100">
                 <div class="flex justify-between items-start">
                     <div class="flex-1">
-                        <p class="text-sm text-gray-800">${msg.text}</p>
+                        <p class="text-sm text-gray-800">${escapeHtml(msg.text)}</p>
                     </div>
                     <span class="text-xs text-gray-500 ml-3 flex-shrink-0">
-                        ${msg.timestamp.toLocaleTimeString()}
+                        ${formatTime(msg.timestamp)}
                     </span>
                 </div>
+                ${msg.incident ? this.generateIncidentHtml(msg, formatTime) : ''}
             </div>
         `).join('');
 
         messagesList.innerHTML = messagesHtml;
     }
 
+    generateIncidentHtml(msg, formatTime) {
+        const statusStyles = {
+            open: 'bg-red-100 text-red-800',
+            acknowledged: 'bg-yellow-100 text-yellow-800',
+            resolved: 'bg-green-100 text-green-800'
+        };
+        const { status, history } = msg.incident;
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
+        const action = (name, label) => `
+            <button class="px-2 py-0.5 text-xs rounded border border-gray-300 hover:bg-gray-50"
+                data-incident-action="${name}" data-message-id="${msg.id}">${label}</button>
+        `;
+
+        return `
+            <div class="flex items-center space-x-2 mt-2">
+                <span class="inline-flex px-2 py-0.5 text-xs rounded ${statusStyles[status]}">${status}</span>
+                ${status === 'open' ? action('acknowledged', 'Acknowledge') : ''}
+                ${action('commented', 'Comment')}
+                ${status !== 'resolved' ? action('resolved', 'Resolve') : ''}
+            </div>
+            ${history.length > 0 ? `
+                <ul class="mt-2 space-y-1">
+                    ${history.map(item => `
+                        <li class="text-xs text-gray-600">
+                            ${formatTime(item.timestamp)} - ${item.action}${item.comment ? `: ${escapeHtml(item.comment)}` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    async handleIncidentAction(messageId, action) {
+        const message = this.renderedMessages.get(messageId);
+        if (!message) return;
+
+        const onSaved = () => {
+            this.loadIncidentCount();
+            this.renderMessages();
+        };
+
+        // Acknowledging is a single click, comments and resolutions go through a dialog
+        if (action === 'acknowledged') {
+            try {
+                await this.app.eventLogManager.updateIncident(message, action);
+                onSaved();
+            } catch (error) {
+                console.error('Failed to acknowledge incident:', error);
+                this.app.showToast('Failed to acknowledge incident', 'error');
+            }
+        } else {
+            this.app.eventLogManager.showIncidentDialog(message, action, onSaved);
+        }
+    }
+
+    updateMessagePagination(total, shown) {
+        const first = this.messagePage * this.messagePageSize;
+
+        document.getElementById('messagePageInfo').textContent = total > 0
+            ? `${first + 1}-${first + shown} of ${total}`
+            : '';
+        document.getElementById('messagePrevBtn').disabled = this.messagePage === 0;
+        document.getElementById('messageNextBtn').disabled = first + shown >= total;
+    }
+
+    applyMessageFilters() {
+        this.messagePage = 0;
+
+        if (this.app.currentTab === 'messages') {
+            this.renderMessages();
+        }
+    }
+
     setMessageFilter(filter) {
         // Update active filter button
         document.querySelectorAll('.filter-btn').forEach(btn => {
@@ -406,17 +559,37 @@ class CockpitManager {
         });
 
         // Re-render messages
-        if (this.app.currentTab === 'messages') {
-            this.renderMessages();
+        this.applyMessageFilters();
+    }
+
+    async exportMessages() {
+        if (!this.currentDevice) {
+            this.app.showToast('No device selected', 'warning');
+            return;
+        }
+
+        const format = document.getElementById('messageExportFormat').value;
+        try {
+            await this.app.eventLogManager.exportLog(this.currentDevice, this.getMessageFilters(), format);
+        } catch (error) {
+            console.error('Failed to export messages:', error);
+            this.app.showToast('Failed to export messages', 'error');
         }
     }
 
     // Time range management
     changeTimeRange(isLive) {
         this.isLiveMode = isLive;
+        this.customRange = null;
+        this.hideCustomRange();
         
         // Update selector
         document.getElementById('timeRangeSelector').value = isLive ? 'live' : 'history';
+
+        // Playback only applies to historic tracks
+        if (isLive) {
+            this.app.playbackManager.reset();
+        }
         
         // Reload current tab data
         if (this.currentDevice) {
@@ -424,6 +597,75 @@ class CockpitManager {
         }
     }
 
+    showCustomRange() {
+        const panel = document.getElementById('customRangePanel');
+        panel.classList.remove('hidden');
+        panel.classList.add('flex');
+        document.getElementById('timeRangeInput').focus();
+    }
+
+    hideCustomRange() {
+        const panel = document.getElementById('customRangePanel');
+        panel.classList.add('hidden');
+        panel.classList.remove('flex');
+    }
+
+    // Custom ranges are historic, they are not extended by real-time updates
+    async setCustomRange(text) {
+        const spec = window.TimeRange.parse(text);
+        if (!spec) {
+            this.app.showToast(`Unknown time range "${text}", try e.g. "last 2 days", "yesterday" or "since last charge"`, 'warning', 5000);
+            return;
+        }
+
+        this.customRange = { text: text.trim(), spec };
+        this.isLiveMode = false;
+        document.getElementById('timeRangeSelector').value = 'custom';
+
+        if (this.currentDevice) {
+            await this.app.loadTabContent(this.app.currentTab);
+        }
+    }
+
+    // The range shown by the map, battery and status views
+    getTimeRange() {
+        const now = new Date();
+
+        if (this.customRange) {
+            return window.TimeRange.resolve(this.customRange.spec, now, this.lastChargeEnd);
+        }
+
+        const seconds = this.isLiveMode ? this.config.liveRange : this.config.historyRange;
+        return { from: new Date(now.getTime() - seconds * 1000), to: now };
+    }
+
+    // Resolves the parts of a custom range that depend on mower data, called before the views load
+    async prepareTimeRange() {
+        if (!this.customRange) return;
+
+        if (window.TimeRange.needsLastCharge(this.customRange.spec) && this.currentDevice) {
+            const now = new Date();
+            const lookbackStart = new Date(now.getTime() - window.TimeRange.LAST_CHARGE_LOOKBACK * 1000);
+
+            try {
+                const history = await window.lawnmowerAPI.getStateHistory(this.currentDevice.id, lookbackStart, now);
+                this.lastChargeEnd = window.TimeRange.findLastChargeEnd(history);
+            } catch (error) {
+                console.error('Failed to find last charge:', error);
+                this.lastChargeEnd = null;
+            }
+
+            if (!this.lastChargeEnd) {
+                this.app.showToast('No charge found in the last 7 days, showing the whole week', 'warning');
+            }
+        }
+
+        // Show the resolved range in the picker
+        const { from, to } = this.getTimeRange();
+        document.getElementById('timeRangeFrom').value = window.TimeRange.toInputValue(from);
+        document.getElementById('timeRangeTo').value = window.TimeRange.toInputValue(to);
+    }
+
     // Polling fallback for when SignalR is not available
     startPolling() {
         if (this.pollingInterval) {
@@ -458,26 +700,33 @@ class CockpitManager {
                 window.lawnmowerAPI.getCurrentState(this.currentDevice.id)
             ]);
 
+            // Polled data feeds the alert rules the same way as real-time updates
             if (battery.status === 'fulfilled') {
-                this.handleBatteryUpdate({
+                const data = {
                     LawnmowerId: this.currentDevice.id,
                     BatteryLevel: battery.value.batteryLevel
-                });
+                };
+                this.handleBatteryUpdate(data);
+                this.app.alertManager.handleBatteryUpdate(data);
             }
 
             if (gps.status === 'fulfilled') {
-                await this.handleGpsUpdate({
+                const data = {
                     LawnmowerId: this.currentDevice.id,
                     Latitude: gps.value.latitude,
                     Longitude: gps.value.longitude
-                });
+                };
+                await this.handleGpsUpdate(data);
+                this.app.alertManager.handleGpsUpdate(data);
             }
 
             if (state.status === 'fulfilled') {
-                this.handleStateUpdate({
+                const data = {
                     LawnmowerId: this.currentDevice.id,
                     State: state.value.state
-                });
+                };
+                this.handleStateUpdate(data);
+                this.app.alertManager.handleStateUpdate(data);
             }
 
         } catch (error) {
@@ -521,10 +770,12 @@ class CockpitManager {
         // Clear all displayed data
         document.getElementById('batteryLevel').textContent = '--';
         document.getElementById('deviceStatus').textContent = 'Unknown';
-        document.getElementById('messageCount').textContent = '0';
+        this.incidentCount = 0;
+        this.updateIncidentBadge();
         
         // Clear messages
         this.messages = [];
+        this.renderedMessages.clear();
         
         // Hide stale data banner
         this.hideStaleDataBanner();
@@ -547,8 +798,15 @@ class CockpitManager {
         return this.isLiveMode;
     }
 
-    getConfig() {
-        return this.config;
+    // Global settings with the mower's overrides on top, the current device if no id is given
+    getConfig(deviceId = this.currentDevice ? this.currentDevice.id : null) {
+        const overrides = deviceId !== null ? this.app.configurationManager.getMowerOverrides(this.overrides, deviceId) : null;
+        if (!overrides) return this.config;
+
+        const config = { ...this.config };
+        if (overrides.StuckDetectionThreshold !== undefined) config.stuckThreshold = overrides.StuckDetectionThreshold;
+        if (overrides.BatteryLowThreshold !== undefined) config.batteryLowThreshold = overrides.BatteryLowThreshold;
+        return config;
     }
 }
 
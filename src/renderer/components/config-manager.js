@@ -1,6 +1,6 @@
 /**
  * Configuration Manager Component
- * Handles client-side configuration viewing and management
+ * Handles client-side configuration viewing, inline editing and validation
  */
 
 class ConfigurationManager {
@@ -8,21 +8,67 @@ class ConfigurationManager {
         this.app = app;
         this.currentDialog = null;
         this.config = {};
+        this.schema = null; // JSON schema of the config file, provided by the main process
+    }
+
+    async initialize() {
+        try {
+            const [schemaResult, configResult] = await Promise.all([
+                window.electronAPI.getConfigSchema(),
+                window.electronAPI.loadConfig()
+            ]);
+            this.schema = schemaResult.schema;
+            this.reportConfigResult(configResult);
+        } catch (error) {
+            console.error('Failed to load configuration schema:', error);
+        }
+
+        window.electronAPI.onConfigChanged((result) => this.handleConfigChanged(result));
+    }
+
+    static describeErrors(errors) {
+        return errors.map(error => `${error.path} ${error.message}`).join('; ');
+    }
+
+    // Unreadable files keep the current settings, invalid settings and list items were replaced by defaults or skipped
+    reportConfigResult(result) {
+        if (!result.success) {
+            this.app.showToast(`Config file not applied: ${result.error}`, 'error', 8000);
+        } else if (result.errors && result.errors.length > 0) {
+            this.app.showToast(`Invalid settings ignored: ${ConfigurationManager.describeErrors(result.errors)}`, 'warning', 8000);
+        }
+    }
+
+    // The main process reports edits of the config file made outside the application
+    async handleConfigChanged(result) {
+        this.reportConfigResult(result);
+        if (!result.success) return;
+
+        try {
+            await this.app.applyConfiguration();
+            this.app.showToast('Configuration reloaded from file', 'info');
+        } catch (error) {
+            console.error('Failed to apply configuration:', error);
+            this.app.showToast('Failed to apply configuration', 'error');
+        }
     }
 
     async showConfigurationDialog() {
         try {
-            // Load current configuration
+            // Load current configuration, settings missing from the file are already filled with defaults
             const result = await window.electronAPI.loadConfig();
-            this.config = result.success ? result.config : this.getDefaultConfig();
+            this.config = result.config || this.getDefaultConfig();
+            if (!result.success) {
+                this.app.showToast(`Showing default settings: ${result.error}`, 'warning', 8000);
+            }
 
             const overlay = document.createElement('div');
             overlay.className = 'modal-overlay';
             overlay.innerHTML = `
-                <div class="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4">
+                <div class="bg-white rounded-lg shadow-xl max-w-3xl w-full mx-4">
                     <div class="px-6 py-4 border-b border-gray-200">
                         <h3 class="text-lg font-semibold text-gray-900">Configuration Settings</h3>
-                        <p class="text-sm text-gray-600 mt-1">Current application configuration loaded from config file</p>
+                        <p class="text-sm text-gray-600 mt-1">Application configuration loaded from config file</p>
                     </div>
                     
                     <div class="px-6 py-4">
@@ -49,8 +95,8 @@ class ConfigurationManager {
                                 <div class="text-sm">
                                     <p class="text-blue-800 font-medium">Configuration Management</p>
                                     <p class="text-blue-700 mt-1">
-                                        Configuration is automatically loaded from the config file next to the executable. 
-                                        To modify settings, edit the config file with a text editor and restart the application.
+                                        Configuration is automatically loaded from the config file next to the executable.
+                                        Saved changes are written to the config file and applied immediately.
                                     </p>
                                     <p class="text-blue-600 mt-2 text-xs">
                                         Config file location: <code class="bg-blue-100 px-1 rounded">[executable-name].config</code>
@@ -68,8 +114,11 @@ class ConfigurationManager {
                             <button type="button" id="refreshConfigBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors text-sm">
                                 Refresh
                             </button>
-                            <button type="button" id="closeConfigBtn" class="px-4 py-2 bg-forest text-white rounded hover:bg-greenbot transition-colors">
-                                Close
+                            <button type="button" id="closeConfigBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors">
+                                Cancel
+                            </button>
+                            <button type="button" id="saveConfigBtn" class="px-4 py-2 bg-forest text-white rounded hover:bg-greenbot transition-colors">
+                                Save
                             </button>
                         </div>
                     </div>
@@ -86,62 +135,195 @@ class ConfigurationManager {
         }
     }
 
-    generateConfigRows() {
-        const settingsInfo = {
-            'StuckDetectionThreshold': {
-                description: 'Time in seconds after which a device is considered stuck if GPS coordinates do not change',
-                unit: 'seconds',
-                range: '10-1800'
-            },
-            'DefaultView': {
-                description: 'Default view mode when opening the cockpit (Live or History)',
-                unit: '',
-                range: 'Live, History'
-            },
-            'LiveRange': {
-                description: 'Time span displayed in Live mode',
-                unit: '',
-                range: 'Text format (e.g., "up to 5 minutes")'
-            },
-            'HistoryRange': {
-                description: 'Time span displayed in History mode',
-                unit: '',
-                range: 'Text format (e.g., "last 60 minutes")'
-            },
-            'BatteryLowThreshold': {
-                description: 'Battery percentage below which low battery warnings are shown',
-                unit: 'percent',
-                range: '1-50'
-            },
-            'RefreshInterval': {
-                description: 'Polling interval in seconds (only used if real-time updates are not available)',
-                unit: 'seconds',
-                range: '1-30'
-            }
+    getSettingSchema(key) {
+        const properties = this.schema ? this.schema.properties : {};
+        return properties[key] || { description: 'Configuration setting' };
+    }
+
+    // Settings that can be set per mower in MowerOverrides: { key: property }
+    getOverridableSettings() {
+        const profiles = this.getSettingSchema('MowerOverrides').additionalProperties;
+        return profiles && profiles.additionalProperties ? profiles.additionalProperties.properties : {};
+    }
+
+    // MowerOverrides are keyed by connection profile, mower ids are only unique per backend
+    getMowerOverrides(mowerOverrides, deviceId) {
+        const profile = this.app.profileManager.getActiveProfileName();
+        const overrides = (mowerOverrides || {})[profile] || {};
+        return overrides[deviceId] || null;
+    }
+
+    // Bounds for number inputs, PingInterval e.g. allows 0 or 10-3600 and gets min 0, max 3600
+    static getNumberBounds(property) {
+        const options = property.anyOf || [property];
+        const minimums = options.map(option => option.const !== undefined ? option.const : option.minimum).filter(value => value !== undefined);
+        const maximums = options.map(option => option.const !== undefined ? option.const : option.maximum).filter(value => value !== undefined);
+
+        return {
+            min: minimums.length === options.length ? Math.min(...minimums) : '',
+            max: maximums.length === options.length ? Math.max(...maximums) : ''
         };
+    }
 
+    generateConfigRows() {
         return Object.entries(this.config).map(([key, value]) => {
-            const info = settingsInfo[key] || { description: 'Configuration setting', unit: '', range: '' };
-            const displayValue = this.formatConfigValue(value, info.unit);
-            
+            const property = this.getSettingSchema(key);
+
             return `
                 <tr class="hover:bg-gray-50">
                     <td class="px-4 py-3 text-sm font-medium text-gray-900">${key}</td>
                     <td class="px-4 py-3 text-sm text-gray-700">
-                        <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-greenbot text-white">
-                            ${displayValue}
-                        </span>
+                        ${this.generateConfigInput(key, value, property)}
+                        <div class="text-xs text-signal-red mt-1 hidden" data-config-error="${key}"></div>
                     </td>
                     <td class="px-4 py-3 text-sm text-gray-600">
-                        <div>${info.description}</div>
-                        ${info.range ? `<div class="text-xs text-gray-500 mt-1">Range: ${info.range}</div>` : ''}
+                        <div>${property.description}</div>
+                        ${property.range ? `<div class="text-xs text-gray-500 mt-1">Range: ${property.range}</div>` : ''}
                     </td>
                 </tr>
             `;
         }).join('');
     }
 
+    // Rules, interlocks and notification preferences have their own editors and stay read-only here
+    generateConfigInput(key, value, property) {
+        const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot';
+
+        if (property.readOnly || (value && typeof value === 'object')) {
+            return `
+                <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-greenbot text-white">
+                    ${this.formatConfigValue(value, property.unit)}
+                </span>
+            `;
+        }
+        if (typeof value === 'boolean') {
+            return `
+                <label class="inline-flex items-center space-x-2">
+                    <input type="checkbox" data-config-key="${key}" ${value ? 'checked' : ''}>
+                    <span class="text-xs text-gray-600">Enabled</span>
+                </label>
+            `;
+        }
+        if (typeof value === 'number') {
+            const { min, max } = ConfigurationManager.getNumberBounds(property);
+            return `
+                <div class="flex items-center space-x-2">
+                    <input type="number" data-config-key="${key}" value="${value}" min="${min}" max="${max}" step="${property.type === 'integer' ? 1 : 'any'}" class="${inputClass} w-24">
+                    ${property.unit ? `<span class="text-xs text-gray-500">${property.unit}</span>` : ''}
+                </div>
+            `;
+        }
+        if (property.enum) {
+            return `
+                <select data-config-key="${key}" class="${inputClass}">
+                    ${property.enum.map(option => `<option value="${option}" ${option === value ? 'selected' : ''}>${option}</option>`).join('')}
+                </select>
+            `;
+        }
+        return `<input type="text" data-config-key="${key}" value="${window.lawnmowerAPI.constructor.escapeHtml(value)}" class="${inputClass} w-48">`;
+    }
+
+    readConfigInput(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'number') return input.value.trim() === '' ? NaN : Number(input.value);
+        return input.value.trim();
+    }
+
+    // Validated against the schema in the main process, resolves to { key: message } for invalid settings
+    async validateSettings(values) {
+        const result = await window.electronAPI.validateConfig(values);
+        return ConfigurationManager.groupErrors(result.errors);
+    }
+
+    static groupErrors(errors) {
+        const messages = {};
+        errors.forEach(error => {
+            const message = error.path === error.key
+                ? error.message.charAt(0).toUpperCase() + error.message.slice(1)
+                : `${error.path} ${error.message}`;
+            messages[error.key] = messages[error.key] ? `${messages[error.key]}; ${message}` : message;
+        });
+        return messages;
+    }
+
+    showSettingError(key, error) {
+        const errorElement = this.currentDialog.querySelector(`[data-config-error="${key}"]`);
+        const input = this.currentDialog.querySelector(`[data-config-key="${key}"]`);
+        if (!errorElement) return;
+
+        errorElement.textContent = error || '';
+        errorElement.classList.toggle('hidden', !error);
+        if (input) {
+            input.classList.toggle('border-signal-red', Boolean(error));
+            input.classList.toggle('border-gray-300', !error);
+        }
+    }
+
+    showSettingErrors(errors) {
+        Object.keys(this.config).forEach(key => this.showSettingError(key, errors[key]));
+
+        const invalidCount = Object.keys(errors).length;
+        if (invalidCount > 0) {
+            this.app.showToast(`Please correct ${invalidCount} invalid setting${invalidCount === 1 ? '' : 's'}`, 'warning');
+        }
+        return invalidCount === 0;
+    }
+
+    async saveConfiguration() {
+        const values = {};
+        this.currentDialog.querySelectorAll('[data-config-key]').forEach(input => {
+            values[input.dataset.configKey] = this.readConfigInput(input);
+        });
+
+        const saveBtn = document.getElementById('saveConfigBtn');
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+
+        try {
+            if (!this.showSettingErrors(await this.validateSettings(values))) {
+                saveBtn.disabled = false;
+                saveBtn.textContent = 'Save';
+                return;
+            }
+
+            // Only edited settings are written, the main process merges them into the file as stored
+            const changes = Object.entries(values)
+                .filter(([key, value]) => value !== this.config[key])
+                .map(([key, value]) => ({ path: [key], value }));
+
+            if (changes.length > 0) {
+                const result = await window.electronAPI.saveConfig(changes);
+                if (!result.success) {
+                    if (result.errors) {
+                        this.showSettingErrors(ConfigurationManager.groupErrors(result.errors));
+                    }
+                    throw new Error(result.error);
+                }
+            }
+
+            this.config = { ...this.config, ...values };
+            this.closeConfigurationDialog();
+            await this.app.applyConfiguration();
+            this.app.showToast('Configuration saved and applied', 'success');
+        } catch (error) {
+            console.error('Failed to save configuration:', error);
+            this.app.showToast(`Failed to save configuration: ${error.message}`, 'error');
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save';
+        }
+    }
+
     formatConfigValue(value, unit) {
+        if (Array.isArray(value)) {
+            return `${value.length} ${unit || 'entries'}`;
+        }
+        if (value && typeof value === 'object' && unit) {
+            return `${Object.keys(value).length} ${unit}`;
+        }
+        if (value && typeof value === 'object') {
+            const enabled = Object.keys(value).filter(key => value[key] === true);
+            return enabled.length > 0 ? enabled.join(', ') : 'None';
+        }
         if (typeof value === 'boolean') {
             return value ? 'Enabled' : 'Disabled';
         }
@@ -154,9 +336,26 @@ class ConfigurationManager {
     setupConfigurationEvents() {
         const refreshBtn = document.getElementById('refreshConfigBtn');
         const closeBtn = document.getElementById('closeConfigBtn');
+        const saveBtn = document.getElementById('saveConfigBtn');
 
         refreshBtn.addEventListener('click', () => this.refreshConfiguration());
         closeBtn.addEventListener('click', () => this.closeConfigurationDialog());
+        saveBtn.addEventListener('click', () => this.saveConfiguration());
+
+        // Validate each setting as soon as it is edited
+        this.currentDialog.querySelectorAll('[data-config-key]').forEach(input => {
+            input.addEventListener('change', async () => {
+                const key = input.dataset.configKey;
+                try {
+                    const errors = await this.validateSettings({ [key]: this.readConfigInput(input) });
+                    if (this.currentDialog) {
+                        this.showSettingError(key, errors[key]);
+                    }
+                } catch (error) {
+                    console.error('Failed to validate setting:', error);
+                }
+            });
+        });
 
         // Close on overlay click
         this.currentDialog.addEventListener('click', (e) => {
@@ -181,14 +380,13 @@ class ConfigurationManager {
     }
 
     getDefaultConfig() {
-        return {
-            StuckDetectionThreshold: 90,
-            DefaultView: 'Live',
-            LiveRange: 'up to 5 minutes',
-            HistoryRange: 'last 60 minutes',
-            BatteryLowThreshold: 10,
-            RefreshInterval: 5
-        };
+        const config = {};
+        Object.entries(this.schema ? this.schema.properties : {}).forEach(([key, property]) => {
+            if (property.default !== undefined) {
+                config[key] = property.default;
+            }
+        });
+        return config;
     }
 
     closeConfigurationDialog() {
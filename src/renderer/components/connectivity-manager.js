@@ -0,0 +1,261 @@
+/**
+ * Connectivity Manager Component
+ * Handles periodic background pings per mower, latency history, uptime and reachability warnings
+ */
+
+class ConnectivityManager {
+    constructor(app) {
+        this.app = app;
+        this.history = {}; // lawnmowerId -> [[timestamp ms, round-trip ms or null when unreachable], ...] oldest first
+        this.degraded = new Map(); // lawnmowerId -> true while reachability is degraded
+        this.profile = null; // Connection profile the history belongs to
+        this.pingInterval = 60; // seconds, 0 disables background pings
+        this.latencyWarning = 1000; // ms
+        this.retention = 7 * 24 * 60 * 60 * 1000; // Longest uptime window
+        this.recentSamples = 10; // Pings used to detect degradation
+        this.minimumSuccessRate = 0.8;
+        this.maxConcurrentPings = 4; // Bounds the load on the backend while a ping cycle stays short for large fleets
+        this.timer = null;
+        this.isPinging = false;
+        this.unsavedCycles = 0;
+    }
+
+    async initialize() {
+        await this.loadPingHistory();
+        await this.loadSettings();
+    }
+
+    // Also called after switching the connection profile, pending pings of the previous profile are saved first
+    async loadPingHistory() {
+        if (this.profile !== null && this.unsavedCycles > 0) {
+            this.unsavedCycles = 0;
+            await this.savePingHistory();
+        }
+
+        this.profile = this.app.profileManager.getActiveProfileName();
+        this.history = {};
+        this.degraded.clear();
+
+        try {
+            const historyResult = await window.electronAPI.loadPingHistory(this.profile);
+            if (historyResult.success) {
+                this.history = historyResult.history || {};
+            }
+        } catch (error) {
+            console.error('Failed to load ping history:', error);
+        }
+    }
+
+    // Also called when the configuration changes, restarts the background pings with the new interval
+    async loadSettings() {
+        try {
+            const result = await window.electronAPI.loadConfig();
+            if (result.config) {
+                if (result.config.PingInterval !== undefined) this.pingInterval = result.config.PingInterval;
+                if (result.config.PingLatencyWarning) this.latencyWarning = result.config.PingLatencyWarning;
+            }
+        } catch (error) {
+            console.error('Failed to load ping settings:', error);
+        }
+
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.pingInterval > 0) {
+            this.timer = setInterval(() => this.pingAll(), this.pingInterval * 1000);
+        }
+    }
+
+    async savePingHistory() {
+        try {
+            const result = await window.electronAPI.savePingHistory(this.profile, this.history);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Failed to save ping history:', error);
+        }
+    }
+
+    // At most maxConcurrentPings pings are in flight at a time
+    async pingAll() {
+        // No mowers are listed while the connection profile is switched, pruning would drop the whole history
+        if (this.isPinging || this.app.lawnmowers.length === 0) return;
+        this.isPinging = true;
+
+        const profile = this.profile;
+        const queue = [...this.app.lawnmowers];
+        const pingNext = async () => {
+            // Stops once the profile was switched while pinging, the history then belongs to other mowers
+            while (queue.length > 0 && this.profile === profile) {
+                const mower = queue.shift();
+                const startTime = Date.now();
+                let roundTrip = null;
+                try {
+                    await window.lawnmowerAPI.pingLawnmower(mower.id);
+                    roundTrip = Date.now() - startTime;
+                } catch (error) {
+                    // Recorded as unreachable
+                }
+
+                if (this.profile === profile) {
+                    this.recordPing(mower.id, roundTrip);
+                }
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(this.maxConcurrentPings, queue.length) }, pingNext));
+            if (this.profile !== profile) return;
+
+            this.prune();
+
+            // The file only needs to survive restarts, not every single ping
+            this.unsavedCycles++;
+            if (this.unsavedCycles >= 5) {
+                this.unsavedCycles = 0;
+                await this.savePingHistory();
+            }
+        } finally {
+            this.isPinging = false;
+        }
+    }
+
+    // Also used for manual pings from the remote control dialog
+    recordPing(deviceId, roundTrip) {
+        if (!this.history[deviceId]) {
+            this.history[deviceId] = [];
+        }
+        const samples = this.history[deviceId];
+        samples.push([Date.now(), roundTrip]);
+
+        // Manual pings are the only ones recorded when background pings are disabled, so expired samples go here too
+        const cutoff = Date.now() - this.retention;
+        while (samples.length > 0 && samples[0][0] < cutoff) {
+            samples.shift();
+        }
+
+        this.checkReachability(deviceId);
+        this.app.remoteControlManager.renderPingDiagnostics(deviceId);
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.retention;
+
+        Object.keys(this.history).forEach(deviceId => {
+            if (!this.app.lawnmowers.some(m => m.id == deviceId)) {
+                delete this.history[deviceId];
+                return;
+            }
+            this.history[deviceId] = this.history[deviceId].filter(([timestamp]) => timestamp >= cutoff);
+        });
+    }
+
+    getSamples(deviceId, since = 0) {
+        return (this.history[deviceId] || []).filter(([timestamp]) => timestamp >= since);
+    }
+
+    // Percentage of successful pings in the window, null without samples
+    getUptime(deviceId, windowMs) {
+        const samples = this.getSamples(deviceId, Date.now() - windowMs);
+        if (samples.length === 0) return null;
+
+        return (samples.filter(([, roundTrip]) => roundTrip !== null).length / samples.length) * 100;
+    }
+
+    static median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    // Degraded when too many recent pings fail or the typical round trip is too slow
+    getReachabilityProblem(deviceId) {
+        const recent = (this.history[deviceId] || []).slice(-this.recentSamples);
+        if (recent.length < this.recentSamples) return null;
+
+        const roundTrips = recent.map(([, roundTrip]) => roundTrip).filter(roundTrip => roundTrip !== null);
+        const successRate = roundTrips.length / recent.length;
+        if (successRate < this.minimumSuccessRate) {
+            return `only ${roundTrips.length} of the last ${recent.length} pings answered`;
+        }
+
+        const median = ConnectivityManager.median(roundTrips);
+        if (median > this.latencyWarning) {
+            return `median ping latency ${Math.round(median)}ms`;
+        }
+
+        return null;
+    }
+
+    checkReachability(deviceId) {
+        const problem = this.getReachabilityProblem(deviceId);
+        const wasDegraded = this.degraded.get(String(deviceId)) === true;
+
+        if (problem && !wasDegraded) {
+            this.degraded.set(String(deviceId), true);
+            this.report(deviceId, `Reachability degraded: ${problem}`, 'warning');
+        } else if (!problem && wasDegraded) {
+            this.degraded.delete(String(deviceId));
+            this.report(deviceId, 'Reachability restored', 'info');
+        }
+    }
+
+    report(deviceId, text, type) {
+        const cockpit = this.app.cockpitManager;
+
+        if (cockpit.currentDevice && cockpit.currentDevice.id == deviceId) {
+            cockpit.addMessage(text, type);
+        } else {
+            const device = this.app.lawnmowers.find(m => m.id == deviceId);
+            this.app.showToast(`${device ? device.name : deviceId}: ${text}`, type, 5000);
+            this.app.notificationManager.notify(type, text, deviceId);
+        }
+    }
+
+    // Bars for the last pings, height by round trip, failed pings drawn full height in red
+    generateSparkline(deviceId, count = 60) {
+        const samples = (this.history[deviceId] || []).slice(-count);
+        if (samples.length === 0) {
+            return '<div class="text-xs text-gray-400">No ping history yet</div>';
+        }
+
+        const width = 240;
+        const height = 32;
+        const barWidth = width / count;
+        const maxRoundTrip = Math.max(this.latencyWarning, ...samples.map(([, roundTrip]) => roundTrip || 0));
+
+        const bars = samples.map(([timestamp, roundTrip], index) => {
+            const x = (index + count - samples.length) * barWidth;
+            const barHeight = roundTrip === null ? height : Math.max(2, (roundTrip / maxRoundTrip) * height);
+            const color = roundTrip === null ? '#F43333' : roundTrip > this.latencyWarning ? '#F59E0B' : '#7F8F3D';
+            const label = `${new Date(timestamp).toLocaleTimeString()}: ${roundTrip === null ? 'no answer' : `${roundTrip}ms`}`;
+
+            return `<rect x="${x.toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color}"><title>${label}</title></rect>`;
+        }).join('');
+
+        return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" class="mx-auto">${bars}</svg>`;
+    }
+
+    getDiagnosticsSummary(deviceId) {
+        const format = (uptime) => uptime === null ? '--' : `${uptime.toFixed(1)}%`;
+        const day = 24 * 60 * 60 * 1000;
+        const roundTrips = (this.history[deviceId] || []).slice(-this.recentSamples)
+            .map(([, roundTrip]) => roundTrip)
+            .filter(roundTrip => roundTrip !== null);
+        const median = ConnectivityManager.median(roundTrips);
+
+        return {
+            uptime24h: format(this.getUptime(deviceId, day)),
+            uptime7d: format(this.getUptime(deviceId, 7 * day)),
+            medianLatency: median === null ? '--' : `${Math.round(median)}ms`,
+            degraded: this.degraded.get(String(deviceId)) === true
+        };
+    }
+}
+
+// Export for use in main.js
+window.ConnectivityManager = ConnectivityManager;
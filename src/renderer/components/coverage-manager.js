@@ -0,0 +1,381 @@
+/**
+ * Coverage Manager Component
+ * Handles mowing coverage heatmaps rasterised from GPS history
+ */
+
+class CoverageManager {
+    constructor(app) {
+        this.app = app;
+        this.currentDevice = null;
+        this.overlay = null;
+        this.lastResult = null;
+        this.maxCells = 200000; // Upper bound for the raster to keep the renderer responsive
+        this.maxSegmentGap = 120; // seconds between GPS points before a track is split
+        this.maxSegmentLength = 25; // meters between GPS points before a jump is ignored
+        this.passColors = [
+            null,
+            'rgba(57, 255, 20, 0.55)', // 1 pass - Neon green
+            'rgba(127, 143, 61, 0.7)', // 2 passes - GreenBot green
+            'rgba(34, 139, 34, 0.85)' // 3+ passes - Forest green
+        ];
+        this.uncoveredColor = 'rgba(255, 121, 121, 0.45)';
+    }
+
+    initialize() {
+        document.getElementById('calculateCoverageBtn').addEventListener('click', () => this.calculateCoverage());
+        document.getElementById('clearCoverageBtn').addEventListener('click', () => this.clearCoverage());
+
+        // Zones can be edited at any time, so refresh the list when it is opened
+        document.getElementById('coverageZoneSelector').addEventListener('focus', () => this.populateZoneSelector());
+    }
+
+    setDevice(device) {
+        this.currentDevice = device;
+        this.clearCoverage();
+        this.populateZoneSelector();
+        this.resetTimeWindow();
+        document.getElementById('coverageWidth').value = this.app.cockpitManager.getConfig().cuttingWidth;
+    }
+
+    populateZoneSelector() {
+        const selector = document.getElementById('coverageZoneSelector');
+        const previous = selector.value;
+        const zones = this.currentDevice ? this.app.zoneManager.getZones(this.currentDevice.id) : [];
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
+
+        selector.innerHTML = zones.length > 0
+            ? `<option value="">All zones</option>${zones.map(zone => `<option value="${escapeHtml(zone.id)}">${escapeHtml(zone.name)}</option>`).join('')}`
+            : '<option value="">No zones (mowed area only)</option>';
+
+        if ([...selector.options].some(option => option.value === previous)) {
+            selector.value = previous;
+        }
+    }
+
+    resetTimeWindow() {
+        const to = new Date();
+        const from = new Date(to.getTime() - this.app.cockpitManager.getConfig().historyRange * 1000);
+
+        document.getElementById('coverageFrom').value = this.toInputValue(from);
+        document.getElementById('coverageTo').value = this.toInputValue(to);
+    }
+
+    toInputValue(date) {
+        // datetime-local inputs expect local time without a timezone suffix
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+
+    async calculateCoverage() {
+        if (!this.currentDevice || !this.app.mapManager.isInitialized) return;
+
+        const from = new Date(document.getElementById('coverageFrom').value);
+        const to = new Date(document.getElementById('coverageTo').value);
+        const cuttingWidth = parseFloat(document.getElementById('coverageWidth').value);
+
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            this.app.showToast('Please select a valid time window', 'warning');
+            return;
+        }
+        if (!(cuttingWidth >= 0.1 && cuttingWidth <= 2)) {
+            this.app.showToast('Cutting width must be between 0.1 and 2 meters', 'warning');
+            return;
+        }
+
+        const calculateBtn = document.getElementById('calculateCoverageBtn');
+        calculateBtn.disabled = true;
+        this.app.mapManager.showMapLoading();
+
+        try {
+            const [gpsHistory, stateHistory] = await Promise.allSettled([
+                window.lawnmowerAPI.getGpsHistory(this.currentDevice.id, from, to),
+                window.lawnmowerAPI.getStateHistory(this.currentDevice.id, from, to)
+            ]);
+
+            if (gpsHistory.status !== 'fulfilled') {
+                throw gpsHistory.reason;
+            }
+
+            const points = gpsHistory.value
+                .map(point => ({ lat: point.latitude, lng: point.longitude, timestamp: new Date(point.timestamp) }))
+                .sort((a, b) => a.timestamp - b.timestamp);
+            const states = stateHistory.status === 'fulfilled'
+                ? stateHistory.value.map(item => ({ state: item.state, timestamp: new Date(item.timestamp) }))
+                    .sort((a, b) => a.timestamp - b.timestamp)
+                : null;
+
+            const zones = this.getSelectedZones();
+            if (points.length < 2) {
+                this.clearCoverage();
+                this.showResult('Not enough GPS data in the selected time window');
+                return;
+            }
+
+            const result = this.computeCoverage(points, states, zones, cuttingWidth);
+            this.renderOverlay(result);
+            this.showResult(this.describeResult(result, zones));
+            this.lastResult = result;
+
+        } catch (error) {
+            console.error('Failed to calculate coverage:', error);
+            this.app.showToast('Failed to calculate coverage', 'error');
+        } finally {
+            calculateBtn.disabled = false;
+            this.app.mapManager.hideMapLoading();
+        }
+    }
+
+    getSelectedZones() {
+        const zones = this.app.zoneManager.getZones(this.currentDevice.id);
+        const selectedId = document.getElementById('coverageZoneSelector').value;
+        return selectedId ? zones.filter(zone => zone.id === selectedId) : zones;
+    }
+
+    computeCoverage(points, states, zones, cuttingWidth) {
+        const projection = CoverageManager.createProjection(points[0].lat, points[0].lng);
+        const local = points.map(point => ({ ...projection.toLocal(point.lat, point.lng), timestamp: point.timestamp }));
+
+        // Only count track segments driven while mowing; points and states are both sorted,
+        // so the state in effect is tracked with an index that only moves forward
+        const segments = [];
+        let stateIndex = -1;
+        for (let i = 1; i < local.length; i++) {
+            const a = local[i - 1];
+            const b = local[i];
+            const gap = (b.timestamp - a.timestamp) / 1000;
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+
+            if (states) {
+                while (stateIndex + 1 < states.length && states[stateIndex + 1].timestamp <= a.timestamp) stateIndex++;
+            }
+
+            if (gap > this.maxSegmentGap || length > this.maxSegmentLength) continue;
+            if (states && (stateIndex < 0 || states[stateIndex].state !== 2)) continue;
+
+            segments.push([a, b]);
+        }
+
+        // Grid extent covers the track and the selected zones
+        const zonePolygons = zones.map(zone => zone.points);
+        const extent = this.getExtent(local, zonePolygons, projection, cuttingWidth);
+        let cellSize = cuttingWidth / 2;
+        const cellCount = (extent.width / cellSize) * (extent.height / cellSize);
+        if (cellCount > this.maxCells) {
+            cellSize = Math.sqrt((extent.width * extent.height) / this.maxCells);
+        }
+
+        const grid = this.rasterise(segments, cellSize, cuttingWidth / 2);
+
+        // Coverage statistics within the zones
+        let zoneCells = 0;
+        let coveredZoneCells = 0;
+        const insideZone = new Set();
+
+        if (zonePolygons.length > 0) {
+            const minIx = Math.floor(extent.minX / cellSize);
+            const maxIx = Math.floor(extent.maxX / cellSize);
+            const minIy = Math.floor(extent.minY / cellSize);
+            const maxIy = Math.floor(extent.maxY / cellSize);
+
+            for (let ix = minIx; ix <= maxIx; ix++) {
+                for (let iy = minIy; iy <= maxIy; iy++) {
+                    const center = projection.toLatLng((ix + 0.5) * cellSize, (iy + 0.5) * cellSize);
+                    const inside = zonePolygons.some(polygon => ZoneManager.isPointInPolygon(center.lat, center.lng, polygon));
+                    if (!inside) continue;
+
+                    const key = `${ix},${iy}`;
+                    insideZone.add(key);
+                    zoneCells++;
+                    if (grid.has(key)) coveredZoneCells++;
+                }
+            }
+        }
+
+        const passes = [...grid.values()];
+        return {
+            grid,
+            insideZone,
+            cellSize,
+            projection,
+            cellArea: cellSize * cellSize,
+            mowedArea: grid.size * cellSize * cellSize,
+            zoneArea: zoneCells * cellSize * cellSize,
+            coveredZoneArea: coveredZoneCells * cellSize * cellSize,
+            coveragePercent: zoneCells > 0 ? (coveredZoneCells / zoneCells) * 100 : null,
+            averagePasses: passes.length > 0 ? passes.reduce((a, b) => a + b, 0) / passes.length : 0
+        };
+    }
+
+    getExtent(localPoints, zonePolygons, projection, margin) {
+        // Tracks can hold far more points than Math.min(...) accepts as arguments
+        const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        const include = (point) => {
+            bounds.minX = Math.min(bounds.minX, point.x);
+            bounds.maxX = Math.max(bounds.maxX, point.x);
+            bounds.minY = Math.min(bounds.minY, point.y);
+            bounds.maxY = Math.max(bounds.maxY, point.y);
+        };
+
+        localPoints.forEach(include);
+        zonePolygons.forEach(polygon => {
+            polygon.forEach(([lat, lng]) => include(projection.toLocal(lat, lng)));
+        });
+
+        const extent = {
+            minX: bounds.minX - margin,
+            maxX: bounds.maxX + margin,
+            minY: bounds.minY - margin,
+            maxY: bounds.maxY + margin
+        };
+        extent.width = extent.maxX - extent.minX;
+        extent.height = extent.maxY - extent.minY;
+        return extent;
+    }
+
+    rasterise(segments, cellSize, radius) {
+        const grid = new Map(); // "ix,iy" -> pass count
+        const lastSegment = new Map(); // "ix,iy" -> index of the last segment that touched the cell
+        const step = cellSize / 2;
+        const reach = radius + cellSize / 2;
+
+        segments.forEach(([a, b], index) => {
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            const samples = Math.max(1, Math.ceil(length / step));
+            const touched = new Set();
+
+            for (let i = 0; i <= samples; i++) {
+                const px = a.x + ((b.x - a.x) * i) / samples;
+                const py = a.y + ((b.y - a.y) * i) / samples;
+
+                for (let ix = Math.floor((px - radius) / cellSize); ix <= Math.floor((px + radius) / cellSize); ix++) {
+                    for (let iy = Math.floor((py - radius) / cellSize); iy <= Math.floor((py + radius) / cellSize); iy++) {
+                        const cx = (ix + 0.5) * cellSize;
+                        const cy = (iy + 0.5) * cellSize;
+                        if (Math.hypot(cx - px, cy - py) <= reach) {
+                            touched.add(`${ix},${iy}`);
+                        }
+                    }
+                }
+            }
+
+            // Consecutive segments overlap at their joints; only count a new pass when the
+            // cell was not already touched by the previous segment of the same track
+            touched.forEach(key => {
+                const previous = lastSegment.get(key);
+                if (previous === undefined || previous < index - 1) {
+                    grid.set(key, (grid.get(key) || 0) + 1);
+                }
+                lastSegment.set(key, index);
+            });
+        });
+
+        return grid;
+    }
+
+    renderOverlay(result) {
+        this.removeOverlay();
+
+        if (result.grid.size === 0 && result.insideZone.size === 0) return;
+
+        let minIx = Infinity;
+        let maxIx = -Infinity;
+        let minIy = Infinity;
+        let maxIy = -Infinity;
+        const include = (key) => {
+            const [ix, iy] = key.split(',').map(Number);
+            minIx = Math.min(minIx, ix);
+            maxIx = Math.max(maxIx, ix);
+            minIy = Math.min(minIy, iy);
+            maxIy = Math.max(maxIy, iy);
+        };
+        result.grid.forEach((count, key) => include(key));
+        result.insideZone.forEach(include);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = maxIx - minIx + 1;
+        canvas.height = maxIy - minIy + 1;
+        const ctx = canvas.getContext('2d');
+
+        // Uncovered parts of the zone first, then mowed cells on top
+        ctx.fillStyle = this.uncoveredColor;
+        result.insideZone.forEach(key => {
+            if (result.grid.has(key)) return;
+            const [ix, iy] = key.split(',').map(Number);
+            ctx.fillRect(ix - minIx, maxIy - iy, 1, 1);
+        });
+
+        result.grid.forEach((count, key) => {
+            const [ix, iy] = key.split(',').map(Number);
+            ctx.fillStyle = this.passColors[Math.min(count, 3)];
+            ctx.fillRect(ix - minIx, maxIy - iy, 1, 1);
+        });
+
+        const southWest = result.projection.toLatLng(minIx * result.cellSize, minIy * result.cellSize);
+        const northEast = result.projection.toLatLng((maxIx + 1) * result.cellSize, (maxIy + 1) * result.cellSize);
+
+        this.overlay = L.imageOverlay(canvas.toDataURL(), [
+            [southWest.lat, southWest.lng],
+            [northEast.lat, northEast.lng]
+        ], {
+            opacity: 0.8,
+            className: 'coverage-overlay'
+        }).addTo(this.app.mapManager.map);
+    }
+
+    describeResult(result, zones) {
+        const passes = `average ${result.averagePasses.toFixed(1)} passes`;
+
+        if (result.coveragePercent === null) {
+            return `Mowed area: ${Math.round(result.mowedArea)} m² (${passes})`;
+        }
+
+        const zoneLabel = zones.length === 1 ? `"${zones[0].name}"` : `${zones.length} zones`;
+        return `Covered ${result.coveragePercent.toFixed(1)}% of ${zoneLabel} ` +
+            `(${Math.round(result.coveredZoneArea)} m² of ${Math.round(result.zoneArea)} m², ${passes})`;
+    }
+
+    showResult(text) {
+        const resultDiv = document.getElementById('coverageResult');
+        document.getElementById('coverageResultText').textContent = text;
+        resultDiv.classList.remove('hidden');
+    }
+
+    removeOverlay() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    clearCoverage() {
+        this.removeOverlay();
+        this.lastResult = null;
+        document.getElementById('coverageResult').classList.add('hidden');
+    }
+
+    // Public interface
+    getCoveragePercent() {
+        return this.lastResult ? this.lastResult.coveragePercent : null;
+    }
+
+    // Equirectangular projection around an origin; accurate enough at garden scale
+    static createProjection(originLat, originLng) {
+        const metersPerDegreeLat = 110540;
+        const metersPerDegreeLng = 111320 * Math.cos(originLat * Math.PI / 180);
+
+        return {
+            toLocal: (lat, lng) => ({
+                x: (lng - originLng) * metersPerDegreeLng,
+                y: (lat - originLat) * metersPerDegreeLat
+            }),
+            toLatLng: (x, y) => ({
+                lat: originLat + y / metersPerDegreeLat,
+                lng: originLng + x / metersPerDegreeLng
+            })
+        };
+    }
+
+}
+
+// Export for use in main.js
+window.CoverageManager = CoverageManager;
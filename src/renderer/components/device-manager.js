@@ -82,6 +82,15 @@ class DeviceManager {
                         ${this.editingDevice ? '<p class="text-xs text-gray-500 mt-1">Address cannot be changed when editing</p>' : ''}
                     </div>
 
+                    ${this.editingDevice ? `
+                    <!-- Per-mower Overrides -->
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Setting overrides</label>
+                        <p class="text-xs text-gray-500 mb-2">Leave empty to use the global setting shown as placeholder.</p>
+                        <div id="mowerOverrides" class="space-y-2 text-sm text-gray-500">Loading settings...</div>
+                    </div>
+                    ` : ''}
+
                     <!-- Form Errors -->
                     <div id="formErrors" class="hidden bg-red-50 border border-red-200 rounded p-3">
                         <ul id="errorList" class="text-red-700 text-sm space-y-1"></ul>
@@ -106,9 +115,10 @@ class DeviceManager {
         // Set up event listeners
         this.setupMowerDialogEvents();
 
-        // Load existing avatar if editing
+        // Load existing avatar and overrides if editing
         if (this.editingDevice) {
             this.loadExistingAvatar();
+            this.loadOverrides();
         }
     }
 
@@ -159,6 +169,81 @@ class DeviceManager {
         }
     }
 
+    async loadOverrides() {
+        const device = this.editingDevice;
+
+        try {
+            const result = await window.electronAPI.loadConfig();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const container = document.getElementById('mowerOverrides');
+            if (!container || this.editingDevice !== device) return;
+
+            const overrides = this.app.configurationManager.getMowerOverrides(result.config.MowerOverrides, device.id) || {};
+            const settings = this.app.configurationManager.getOverridableSettings();
+
+            container.innerHTML = Object.entries(settings).map(([key, property]) => {
+                const { min, max } = window.ConfigurationManager.getNumberBounds(property);
+                return `
+                    <div class="flex items-center justify-between" title="${property.description}">
+                        <label for="override${key}" class="text-gray-700">${key}</label>
+                        <div class="flex items-center space-x-2">
+                            <input type="number" id="override${key}" data-override-key="${key}"
+                                value="${overrides[key] !== undefined ? overrides[key] : ''}" placeholder="${result.config[key]}"
+                                min="${min}" max="${max}" step="${property.type === 'integer' ? 1 : 'any'}"
+                                class="w-24 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot">
+                            <span class="w-14 text-xs text-gray-500">${property.unit || ''}</span>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Failed to load setting overrides:', error);
+            const container = document.getElementById('mowerOverrides');
+            if (container) {
+                container.textContent = 'Setting overrides could not be loaded';
+            }
+        }
+    }
+
+    // null while the override inputs are not loaded, so existing overrides are left untouched
+    readOverrides() {
+        const inputs = document.querySelectorAll('[data-override-key]');
+        if (inputs.length === 0) return null;
+
+        const overrides = {};
+        inputs.forEach(input => {
+            if (input.value.trim() !== '') {
+                overrides[input.dataset.overrideKey] = Number(input.value);
+            }
+        });
+        return overrides;
+    }
+
+    // Overrides are stored in MowerOverrides of the config file and layered over the global settings
+    async saveOverrides(deviceId, overrides) {
+        const result = await window.electronAPI.loadConfig();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const current = this.app.configurationManager.getMowerOverrides(result.config.MowerOverrides, deviceId) || {};
+        if (JSON.stringify(current) === JSON.stringify(overrides)) return;
+
+        // Only this mower's entry of the active profile is written, the overrides of other mowers stay as stored
+        const saveResult = await window.electronAPI.saveConfig([{
+            path: ['MowerOverrides', this.app.profileManager.getActiveProfileName(), String(deviceId)],
+            value: Object.keys(overrides).length > 0 ? overrides : null
+        }]);
+        if (!saveResult.success) {
+            throw new Error(saveResult.error);
+        }
+
+        await this.app.applyConfiguration();
+    }
+
     handleAvatarUpload(file) {
         if (!file) return;
 
@@ -207,7 +292,13 @@ class DeviceManager {
         const address = document.getElementById('mowerAddress').value.trim();
 
         // Validate form
+        const overrides = this.editingDevice ? this.readOverrides() : null;
         const errors = this.validateMowerForm(name, address);
+        if (overrides) {
+            // Overrides follow the same rules as the global settings
+            const result = await window.electronAPI.validateConfig(overrides);
+            errors.push(...result.errors.map(error => `${error.path} ${error.message}`));
+        }
         if (errors.length > 0) {
             this.showFormErrors(errors);
             return;
@@ -237,10 +328,20 @@ class DeviceManager {
                 this.app.showToast(`${name} created successfully`, 'success');
             }
 
+            if (overrides) {
+                try {
+                    await this.saveOverrides(mower.id, overrides);
+                } catch (overrideError) {
+                    console.error('Saving setting overrides failed:', overrideError);
+                    this.app.showToast('Mower saved, but setting overrides could not be saved', 'warning');
+                }
+            }
+
             // Upload avatar if provided
             if (this.currentAvatarFile) {
                 try {
                     await window.lawnmowerAPI.uploadLawnmowerAvatar(mower.id, this.currentAvatarFile);
+                    this.app.mapManager.releaseAvatar(mower.id);
                 } catch (avatarError) {
                     console.error('Avatar upload failed:', avatarError);
                     this.app.showToast('Mower saved, but avatar upload failed', 'warning');
@@ -416,6 +517,12 @@ class DeviceManager {
             await window.lawnmowerAPI.deleteLawnmower(device.id);
             this.app.showToast(`${device.name} deleted successfully`, 'success');
 
+            try {
+                await this.saveOverrides(device.id, {});
+            } catch (overrideError) {
+                console.error('Removing setting overrides failed:', overrideError);
+            }
+
             // If this was the selected device, clear selection
             if (this.app.currentDevice && this.app.currentDevice.id === device.id) {
                 this.app.currentDevice = null;
@@ -0,0 +1,257 @@
+/**
+ * Event Log Manager Component
+ * Handles persisting cockpit messages per lawnmower, the incident workflow for warnings and errors,
+ * and querying and exporting the stored log
+ */
+
+class EventLogManager {
+    constructor(app) {
+        this.app = app;
+        this.currentDialog = null;
+    }
+
+    static isIncidentSeverity(severity) {
+        return severity === 'warning' || severity === 'error';
+    }
+
+    async record(deviceId, message) {
+        const entry = {
+            Id: message.id,
+            LawnmowerId: deviceId,
+            Timestamp: message.timestamp.toISOString(),
+            Severity: message.type,
+            Text: message.text
+        };
+
+        // Warnings and errors stay open until someone acknowledges them
+        if (EventLogManager.isIncidentSeverity(message.type)) {
+            entry.Incident = { Status: 'open', History: [] };
+        }
+
+        try {
+            const result = await window.electronAPI.appendEvent(this.app.profileManager.getActiveProfileName(), entry);
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Failed to store event:', error);
+        }
+    }
+
+    // filters: { severities, statuses, search, from, to } - from/to are Date objects or null
+    async query(deviceId, filters = {}, offset = 0, limit = null) {
+        const result = await window.electronAPI.queryEvents(this.app.profileManager.getActiveProfileName(), {
+            lawnmowerId: deviceId,
+            severities: filters.severities || null,
+            statuses: filters.statuses || null,
+            search: filters.search || '',
+            from: filters.from ? filters.from.toISOString() : null,
+            to: filters.to ? filters.to.toISOString() : null,
+            offset,
+            limit
+        });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return {
+            total: result.total,
+            messages: result.events.map(entry => this.toMessage(entry))
+        };
+    }
+
+    toMessage(entry) {
+        return {
+            id: entry.Id,
+            text: entry.Text,
+            type: entry.Severity,
+            timestamp: new Date(entry.Timestamp),
+            incident: entry.Incident ? {
+                status: entry.Incident.Status,
+                history: entry.Incident.History.map(item => ({
+                    action: item.Action,
+                    timestamp: new Date(item.Timestamp),
+                    comment: item.Comment || ''
+                }))
+            } : null
+        };
+    }
+
+    async countOpenIncidents(deviceId) {
+        const { total } = await this.query(deviceId, { statuses: ['open'] }, 0, 0);
+        return total;
+    }
+
+    // Incident workflow: open -> acknowledged -> resolved, comments can be added at any time
+    async updateIncident(message, action, comment = '') {
+        const statusByAction = { acknowledged: 'acknowledged', resolved: 'resolved' };
+        const history = [...message.incident.history, { action, timestamp: new Date(), comment }];
+
+        const incident = {
+            Status: statusByAction[action] || message.incident.status,
+            History: history.map(item => ({
+                Action: item.action,
+                Timestamp: item.timestamp.toISOString(),
+                Comment: item.comment
+            }))
+        };
+
+        const result = await window.electronAPI.updateEventIncident(this.app.profileManager.getActiveProfileName(), message.id, incident);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        message.incident = { status: incident.Status, history };
+    }
+
+    showIncidentDialog(message, action, onSaved) {
+        if (this.currentDialog) return;
+
+        const titles = { commented: 'Add Comment', resolved: 'Resolve Incident' };
+        const commentRequired = action === 'commented';
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-semibold text-gray-900">${titles[action]}</h3>
+                    <p class="text-sm text-gray-600 mt-1">${window.lawnmowerAPI.constructor.escapeHtml(message.text)}</p>
+                </div>
+
+                <div class="px-6 py-4">
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Comment${commentRequired ? '' : ' (optional)'}</label>
+                    <textarea id="incidentComment" rows="4"
+                        class="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot"></textarea>
+                </div>
+
+                <div class="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+                    <button type="button" id="cancelIncidentBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors">
+                        Cancel
+                    </button>
+                    <button type="button" id="saveIncidentBtn" class="px-4 py-2 bg-forest text-white rounded hover:bg-greenbot transition-colors">
+                        ${action === 'resolved' ? 'Resolve' : 'Save'}
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.currentDialog = overlay;
+
+        const commentInput = document.getElementById('incidentComment');
+        commentInput.focus();
+
+        document.getElementById('saveIncidentBtn').addEventListener('click', async () => {
+            const comment = commentInput.value.trim();
+            if (commentRequired && !comment) {
+                this.app.showToast('Please enter a comment', 'warning');
+                return;
+            }
+
+            try {
+                await this.updateIncident(message, action, comment);
+                this.closeIncidentDialog();
+                onSaved();
+            } catch (error) {
+                console.error('Failed to update incident:', error);
+                this.app.showToast('Failed to update incident', 'error');
+            }
+        });
+        document.getElementById('cancelIncidentBtn').addEventListener('click', () => this.closeIncidentDialog());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeIncidentDialog();
+        });
+    }
+
+    closeIncidentDialog() {
+        if (this.currentDialog) {
+            document.body.removeChild(this.currentDialog);
+            this.currentDialog = null;
+        }
+    }
+
+    async exportLog(device, filters, format) {
+        const { messages } = await this.query(device.id, filters);
+        if (messages.length === 0) {
+            this.app.showToast('No messages matching filter', 'warning');
+            return;
+        }
+
+        const targets = {
+            csv: { name: 'CSV Files', generate: () => this.generateCsv(device, messages) },
+            json: { name: 'JSON Files', generate: () => this.generateJson(device, filters, messages) }
+        };
+        const target = targets[format];
+
+        const result = await window.electronAPI.showSaveDialog({
+            defaultPath: `events-${device.id}-${new Date().toISOString().split('T')[0]}.${format}`,
+            filters: [
+                { name: target.name, extensions: [format] }
+            ]
+        });
+
+        if (result.canceled) return;
+
+        const writeResult = await window.electronAPI.writeFile(result.filePath, target.generate());
+        if (!writeResult.success) {
+            throw new Error(writeResult.error);
+        }
+
+        this.app.showToast(`Exported ${messages.length} messages`, 'success');
+    }
+
+    generateCsv(device, messages) {
+        // Incident history is flattened into one column, e.g. "2024-05-01T14:30:00.000Z acknowledged: on my way"
+        const describeHistory = (incident) => incident
+            ? incident.history.map(item => `${item.timestamp.toISOString()} ${item.action}${item.comment ? `: ${item.comment}` : ''}`).join(' | ')
+            : '';
+
+        const lines = messages.map(msg => [
+            msg.timestamp.toISOString(),
+            device.id,
+            device.name,
+            msg.type,
+            msg.text,
+            msg.incident ? msg.incident.status : '',
+            describeHistory(msg.incident)
+        ].map(window.lawnmowerAPI.constructor.escapeCsv).join(','));
+
+        return ['timestamp,lawnmowerId,lawnmowerName,severity,text,incidentStatus,incidentHistory', ...lines].join('\r\n');
+    }
+
+    generateJson(device, filters, messages) {
+        return JSON.stringify({
+            metadata: {
+                exportDate: new Date().toISOString(),
+                lawnmower: { id: device.id, name: device.name },
+                filters: {
+                    severities: filters.severities || null,
+                    statuses: filters.statuses || null,
+                    search: filters.search || '',
+                    from: filters.from ? filters.from.toISOString() : null,
+                    to: filters.to ? filters.to.toISOString() : null
+                },
+                count: messages.length
+            },
+            events: messages.map(msg => ({
+                timestamp: msg.timestamp.toISOString(),
+                severity: msg.type,
+                text: msg.text,
+                incident: msg.incident ? {
+                    status: msg.incident.status,
+                    history: msg.incident.history.map(item => ({
+                        action: item.action,
+                        timestamp: item.timestamp.toISOString(),
+                        comment: item.comment
+                    }))
+                } : null
+            }))
+        }, null, 2);
+    }
+}
+
+// Export for use in main.js
+window.EventLogManager = EventLogManager;
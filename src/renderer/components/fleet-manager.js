@@ -0,0 +1,278 @@
+/**
+ * Fleet Manager Component
+ * Handles the fleet overview grid with live status for every lawnmower
+ */
+
+class FleetManager {
+    constructor(app) {
+        this.app = app;
+        this.fleet = new Map(); // lawnmowerId -> live status entry
+        this.refreshInterval = null;
+        this.isVisible = false;
+        this.staleThreshold = 60; // seconds, matches the cockpit stale data banner
+    }
+
+    initialize() {
+        document.getElementById('fleetGrid').addEventListener('click', (e) => {
+            const card = e.target.closest('.fleet-card');
+            if (card) {
+                this.app.openDevice(card.dataset.deviceId);
+            }
+        });
+    }
+
+    // Keep one subscription per lawnmower in sync with the device list
+    async setLawnmowers(lawnmowers) {
+        const ids = new Set(lawnmowers.map(mower => mower.id));
+
+        for (const id of [...this.fleet.keys()]) {
+            if (!ids.has(id)) {
+                this.fleet.delete(id);
+                await window.lawnmowerAPI.unsubscribeFromLawnmower(id);
+            }
+        }
+
+        const added = [];
+        lawnmowers.forEach(mower => {
+            const entry = this.fleet.get(mower.id);
+            if (entry) {
+                entry.device = mower;
+            } else {
+                this.fleet.set(mower.id, {
+                    device: mower,
+                    batteryLevel: null,
+                    state: null,
+                    latitude: null,
+                    longitude: null,
+                    lastSeen: null
+                });
+                added.push(mower);
+            }
+        });
+
+        await Promise.allSettled(added.map(async mower => {
+            try {
+                await window.lawnmowerAPI.subscribeToLawnmower(mower.id);
+            } catch (error) {
+                console.error(`Fleet subscription failed for ${mower.name}:`, error);
+            }
+            await this.loadSnapshot(mower.id);
+        }));
+
+        if (this.isVisible) {
+            this.render();
+        }
+    }
+
+    async loadSnapshot(deviceId) {
+        const [battery, gps, state] = await Promise.allSettled([
+            window.lawnmowerAPI.getCurrentBattery(deviceId),
+            window.lawnmowerAPI.getCurrentGps(deviceId),
+            window.lawnmowerAPI.getCurrentState(deviceId)
+        ]);
+
+        const entry = this.fleet.get(deviceId);
+        if (!entry) return;
+
+        if (battery.status === 'fulfilled' && battery.value) {
+            entry.batteryLevel = battery.value.batteryLevel;
+            this.touch(entry, battery.value.timestamp);
+        }
+
+        if (gps.status === 'fulfilled' && gps.value) {
+            entry.latitude = gps.value.latitude;
+            entry.longitude = gps.value.longitude;
+            this.touch(entry, gps.value.timestamp);
+        }
+
+        if (state.status === 'fulfilled' && state.value) {
+            entry.state = state.value.state;
+            this.touch(entry, state.value.timestamp);
+        }
+    }
+
+    touch(entry, timestamp) {
+        const seen = timestamp ? new Date(timestamp) : new Date();
+        if (!entry.lastSeen || seen > entry.lastSeen) {
+            entry.lastSeen = seen;
+        }
+    }
+
+    // Real-time data handlers
+    handleBatteryUpdate(data) {
+        const entry = this.fleet.get(data.LawnmowerId);
+        if (!entry) return;
+
+        entry.batteryLevel = data.BatteryLevel;
+        this.touch(entry);
+        this.renderCard(data.LawnmowerId);
+    }
+
+    handleGpsUpdate(data) {
+        const entry = this.fleet.get(data.LawnmowerId);
+        if (!entry) return;
+
+        entry.latitude = data.Latitude;
+        entry.longitude = data.Longitude;
+        this.touch(entry);
+        this.renderCard(data.LawnmowerId);
+    }
+
+    handleStateUpdate(data) {
+        const entry = this.fleet.get(data.LawnmowerId);
+        if (!entry) return;
+
+        entry.state = data.State;
+        this.touch(entry);
+        this.renderCard(data.LawnmowerId);
+    }
+
+    getAlerts(entry) {
+        const alerts = [];
+        const batteryLowThreshold = this.app.cockpitManager.getConfig(entry.device.id).batteryLowThreshold;
+
+        if (entry.state === 5) {
+            alerts.push({ text: 'Error state', type: 'error' });
+        }
+
+        if (entry.batteryLevel !== null) {
+            if (entry.batteryLevel <= 0) {
+                alerts.push({ text: 'Battery empty', type: 'error' });
+            } else if (entry.batteryLevel < batteryLowThreshold) {
+                alerts.push({ text: `Battery low: ${Math.round(entry.batteryLevel)}%`, type: 'warning' });
+            }
+        }
+
+        if (!entry.lastSeen) {
+            alerts.push({ text: 'No data received', type: 'warning' });
+        } else if ((Date.now() - entry.lastSeen) / 1000 > this.staleThreshold) {
+            alerts.push({ text: 'Data may be outdated', type: 'warning' });
+        }
+
+        return alerts;
+    }
+
+    formatLastSeen(lastSeen) {
+        if (!lastSeen) return 'Never';
+
+        const seconds = Math.max(0, Math.round((Date.now() - lastSeen) / 1000));
+        if (seconds < 60) {
+            return `${seconds}s ago`;
+        }
+        return `${window.lawnmowerAPI.constructor.formatDuration(Math.floor(seconds / 60) * 60)} ago`;
+    }
+
+    getBatteryClass(level, deviceId) {
+        if (level === null) return 'text-gray-500';
+        if (level <= 0) return 'battery-critical';
+        if (level < this.app.cockpitManager.getConfig(deviceId).batteryLowThreshold) return 'battery-low';
+        return 'battery-normal';
+    }
+
+    generateCardHtml(entry) {
+        const { device } = entry;
+        const api = window.lawnmowerAPI.constructor;
+        const alerts = this.getAlerts(entry);
+        const isSelected = this.app.currentDevice && this.app.currentDevice.id === device.id;
+
+        const alertsHtml = alerts.length > 0
+            ? alerts.map(alert => `
+                <span class="fleet-alert fleet-alert-${alert.type}">${alert.text}</span>
+            `).join('')
+            : '<span class="text-xs text-gray-400">No alerts</span>';
+
+        const escapeHtml = api.escapeHtml;
+        return `
+            <div class="fleet-card ${isSelected ? 'fleet-card-selected' : ''} ${alerts.some(a => a.type === 'error') ? 'fleet-card-error' : ''}"
+                 data-device-id="${escapeHtml(device.id)}" title="Open cockpit for ${escapeHtml(device.name)}">
+                <div class="flex items-start justify-between mb-3">
+                    <div class="min-w-0">
+                        <h4 class="font-semibold text-gray-900 truncate">${escapeHtml(device.name)}</h4>
+                        <p class="text-xs text-gray-500">${escapeHtml(device.address)}</p>
+                    </div>
+                    <span class="text-sm font-bold ${api.getStateClass(entry.state)}">
+                        ${entry.state !== null ? api.getStateName(entry.state) : 'Unknown'}
+                    </span>
+                </div>
+                <div class="grid grid-cols-2 gap-2 text-sm mb-3">
+                    <div>
+                        <span class="text-gray-600">Battery:</span>
+                        <span class="font-bold ${this.getBatteryClass(entry.batteryLevel, device.id)}">
+                            ${entry.batteryLevel !== null ? `${Math.round(entry.batteryLevel)}%` : '--'}
+                        </span>
+                    </div>
+                    <div class="text-right">
+                        <span class="text-gray-600">Last seen:</span>
+                        <span class="text-gray-800">${this.formatLastSeen(entry.lastSeen)}</span>
+                    </div>
+                </div>
+                <div class="flex flex-wrap gap-1">
+                    ${alertsHtml}
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        const grid = document.getElementById('fleetGrid');
+        const summary = document.getElementById('fleetSummary');
+
+        if (this.fleet.size === 0) {
+            grid.innerHTML = '<div class="col-span-3 p-4 text-center text-gray-500">No lawnmowers available</div>';
+            summary.textContent = '';
+            return;
+        }
+
+        const entries = [...this.fleet.values()].sort((a, b) => a.device.name.localeCompare(b.device.name));
+        grid.innerHTML = entries.map(entry => this.generateCardHtml(entry)).join('');
+
+        const alertCount = entries.filter(entry => this.getAlerts(entry).length > 0).length;
+        summary.textContent = `${entries.length} mowers, ${alertCount} with alerts`;
+    }
+
+    renderCard(deviceId) {
+        if (!this.isVisible) return;
+
+        const card = document.querySelector(`.fleet-card[data-device-id="${deviceId}"]`);
+        const entry = this.fleet.get(deviceId);
+        if (!card || !entry) {
+            this.render();
+            return;
+        }
+
+        card.outerHTML = this.generateCardHtml(entry);
+    }
+
+    show() {
+        this.isVisible = true;
+        this.render();
+
+        // Keep relative "last seen" times and stale alerts current
+        this.stopRefresh();
+        this.refreshInterval = setInterval(() => this.render(), 5000);
+    }
+
+    hide() {
+        this.isVisible = false;
+        this.stopRefresh();
+    }
+
+    stopRefresh() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+
+    // Public interface
+    getFleetStatus(deviceId) {
+        return this.fleet.get(deviceId) || null;
+    }
+
+    getFleet() {
+        return [...this.fleet.values()];
+    }
+}
+
+// Export for use in main.js
+window.FleetManager = FleetManager;
@@ -8,6 +8,8 @@ class ImportExportManager {
         this.app = app;
         this.currentDialog = null;
         this.importProgress = null;
+        this.measurementImport = null;
+        this.exportController = null; // cancels the history download of a running export
     }
 
     // Import Mowers Dialog
@@ -23,14 +25,14 @@ class ImportExportManager {
                 <div class="px-6 py-4">
                     <!-- File Selection -->
                     <div class="mb-6">
-                        <label class="block text-sm font-medium text-gray-700 mb-2">Select JSON file</label>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Select JSON, CSV or GPX file</label>
                         <div class="flex items-center space-x-3">
                             <button type="button" id="selectFileBtn" class="px-4 py-2 border border-gray-300 rounded text-sm hover:bg-gray-50 transition-colors">
                                 File...
                             </button>
                             <span id="selectedFileName" class="text-sm text-gray-600 italic">No file selected</span>
                         </div>
-                        <input type="file" id="importFileInput" class="hidden" accept=".json">
+                        <input type="file" id="importFileInput" class="hidden" accept=".json,.csv,.gpx">
                     </div>
 
                     <!-- Progress Area -->
@@ -42,6 +44,44 @@ class ImportExportManager {
                         <div id="progressSummary" class="text-xs text-gray-600 mt-2"></div>
                     </div>
 
+                    <!-- Measurement History Import (CSV/GPX) -->
+                    <div id="measurementImportArea" class="hidden space-y-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Import into mower</label>
+                            <select id="measurementMower"
+                                class="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot text-sm">
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Column mapping</label>
+                            <div id="columnMapping" class="grid grid-cols-5 gap-2"></div>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Timestamp format</label>
+                            <select id="timestampFormat"
+                                class="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot text-sm">
+                            </select>
+                            <div id="timestampFormatHint" class="text-xs text-gray-500 mt-1"></div>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Preview</label>
+                            <div class="overflow-auto max-h-48 border rounded">
+                                <table class="min-w-full">
+                                    <thead class="bg-gray-50">
+                                        <tr>
+                                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Battery</th>
+                                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Position</th>
+                                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody id="measurementPreviewBody" class="bg-white divide-y divide-gray-200">
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </div>
+
                     <!-- Validation Results Table -->
                     <div id="resultsContainer" class="hidden">
                         <div class="overflow-auto max-h-64 border rounded">
@@ -101,6 +141,20 @@ class ImportExportManager {
         document.getElementById('selectedFileName').textContent = file.name;
         document.getElementById('progressArea').classList.remove('hidden');
         document.getElementById('resultsContainer').classList.add('hidden');
+        document.getElementById('measurementImportArea').classList.add('hidden');
+        this.measurementImport = null;
+
+        // CSV and GPX files contain measurement history for a single mower
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'csv' || extension === 'gpx') {
+            try {
+                const content = await this.readFileContent(file);
+                await this.prepareMeasurementImport(extension, content);
+            } catch (error) {
+                this.showImportError(`Invalid ${extension.toUpperCase()} file: ` + error.message);
+            }
+            return;
+        }
         
         try {
             const content = await this.readFileContent(file);
@@ -176,16 +230,17 @@ class ImportExportManager {
         document.getElementById('progressSummary').textContent = 
             `${results.length} mowers found (${newCount} new, ${updateCount} updated, ${errorCount} error)`;
 
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
         const rowsHtml = results.map(result => `
             <tr class="${result.status === 'Error' ? 'bg-red-50' : ''}">
-                <td class="px-4 py-2 text-sm text-gray-900">${result.name}</td>
-                <td class="px-4 py-2 text-sm text-gray-900">${result.address}</td>
+                <td class="px-4 py-2 text-sm text-gray-900">${escapeHtml(result.name)}</td>
+                <td class="px-4 py-2 text-sm text-gray-900">${escapeHtml(result.address)}</td>
                 <td class="px-4 py-2">
                     <span class="inline-flex px-2 py-1 text-xs rounded ${this.getStatusStyle(result.status)}">
                         ${result.status}
                     </span>
                 </td>
-                <td class="px-4 py-2 text-sm text-red-600">${result.error}</td>
+                <td class="px-4 py-2 text-sm text-red-600">${escapeHtml(result.error)}</td>
             </tr>
         `).join('');
 
@@ -197,6 +252,11 @@ class ImportExportManager {
     }
 
     async executeImport() {
+        if (this.measurementImport) {
+            await this.executeMeasurementImport();
+            return;
+        }
+
         if (!this.importResults) return;
 
         const startBtn = document.getElementById('startImportBtn');
@@ -249,6 +309,11 @@ class ImportExportManager {
                         await this.importHistory(savedMower.id, mower.history);
                     }
 
+                    // Import mowing zones if provided
+                    if (Array.isArray(mower.zones)) {
+                        await this.app.zoneManager.importZones(savedMower.id, mower.zones);
+                    }
+
                     imported++;
                 } catch (error) {
                     console.error(`Failed to import ${mower.name}:`, error);
@@ -279,6 +344,7 @@ class ImportExportManager {
             const blob = await response.blob();
             const file = new File([blob], 'avatar.png', { type: blob.type });
             await window.lawnmowerAPI.uploadLawnmowerAvatar(mowerId, file);
+            this.app.mapManager.releaseAvatar(mowerId);
         } catch (error) {
             console.error('Avatar import failed:', error);
         }
@@ -315,6 +381,178 @@ class ImportExportManager {
         }
     }
 
+    // Measurement History Import (CSV/GPX)
+    async prepareMeasurementImport(type, content) {
+        this.updateProgress('Reading file...', 20);
+
+        const table = type === 'csv'
+            ? window.MeasurementParser.parseCsv(content)
+            : window.MeasurementParser.parseGpx(content);
+
+        this.measurementImport = {
+            type,
+            table,
+            mapping: window.MeasurementParser.guessMapping(table.headers),
+            timestampFormat: null,
+            result: null
+        };
+
+        await this.populateMeasurementMowers();
+        this.renderColumnMapping();
+        this.detectTimestampFormat();
+        this.updateMeasurementPreview();
+
+        this.updateProgress('File read', 100);
+        document.getElementById('measurementImportArea').classList.remove('hidden');
+    }
+
+    async populateMeasurementMowers() {
+        const selector = document.getElementById('measurementMower');
+        const mowers = await window.lawnmowerAPI.getLawnmowers();
+        const currentId = this.app.currentDevice ? this.app.currentDevice.id : null;
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
+
+        selector.innerHTML = mowers.map(mower => `
+            <option value="${escapeHtml(mower.id)}" ${mower.id === currentId ? 'selected' : ''}>${escapeHtml(mower.name)} (${escapeHtml(mower.address)})</option>
+        `).join('');
+
+        selector.onchange = () => this.updateMeasurementPreview();
+    }
+
+    renderColumnMapping() {
+        const fields = {
+            timestamp: 'Timestamp *',
+            battery: 'Battery (%)',
+            latitude: 'Latitude',
+            longitude: 'Longitude',
+            state: 'State'
+        };
+        const { table, mapping } = this.measurementImport;
+        const container = document.getElementById('columnMapping');
+        // Headers come from the imported file
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
+
+        container.innerHTML = Object.entries(fields).map(([field, label]) => `
+            <div>
+                <div class="text-xs text-gray-600 mb-1">${label}</div>
+                <select data-field="${field}"
+                    class="w-full px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot text-xs">
+                    <option value="">(not mapped)</option>
+                    ${table.headers.map((header, index) => `
+                        <option value="${index}" ${mapping[field] === String(index) ? 'selected' : ''}>${escapeHtml(header)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                mapping[select.dataset.field] = select.value;
+                if (select.dataset.field === 'timestamp') {
+                    this.detectTimestampFormat();
+                }
+                this.updateMeasurementPreview();
+            });
+        });
+
+        const formatSelector = document.getElementById('timestampFormat');
+        formatSelector.innerHTML = window.MeasurementParser.getTimestampFormats().map(format => `
+            <option value="${format.id}">${format.label}</option>
+        `).join('');
+        formatSelector.onchange = () => {
+            this.measurementImport.timestampFormat = formatSelector.value;
+            this.updateMeasurementPreview();
+        };
+    }
+
+    detectTimestampFormat() {
+        const { table, mapping } = this.measurementImport;
+        const hint = document.getElementById('timestampFormatHint');
+
+        const values = mapping.timestamp !== ''
+            ? table.rows.map(row => row[parseInt(mapping.timestamp)])
+            : [];
+        const detected = window.MeasurementParser.detectTimestampFormat(values);
+
+        this.measurementImport.timestampFormat = detected || 'iso';
+        document.getElementById('timestampFormat').value = this.measurementImport.timestampFormat;
+        hint.textContent = detected
+            ? 'Detected automatically'
+            : 'Format could not be detected, please select it manually';
+    }
+
+    updateMeasurementPreview() {
+        const { table, mapping, timestampFormat } = this.measurementImport;
+        const startBtn = document.getElementById('startImportBtn');
+        const result = window.MeasurementParser.buildMeasurements(
+            table, mapping, timestampFormat, (value) => this.parseStateValue(value)
+        );
+        this.measurementImport.result = result;
+
+        const rowsHtml = result.rows.slice(0, 10).map(row => `
+            <tr>
+                <td class="px-4 py-2 text-sm text-gray-900">${row.timestamp.toLocaleString()}</td>
+                <td class="px-4 py-2 text-sm text-gray-900">${row.battery !== null ? `${row.battery}%` : '--'}</td>
+                <td class="px-4 py-2 text-sm text-gray-900">${row.latitude !== null ? `${row.latitude.toFixed(6)}, ${row.longitude.toFixed(6)}` : '--'}</td>
+                <td class="px-4 py-2 text-sm text-gray-900">${row.state !== null ? this.getStateName(row.state) : '--'}</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('measurementPreviewBody').innerHTML = rowsHtml ||
+            '<tr><td colspan="4" class="px-4 py-2 text-sm text-gray-500 text-center">No valid rows with the current mapping</td></tr>';
+
+        const summary = document.getElementById('progressSummary');
+        summary.className = 'text-xs text-gray-600 mt-2';
+        summary.textContent = `${table.rows.length} rows found: ${result.battery.length} battery, ` +
+            `${result.gps.length} GPS and ${result.states.length} state measurements (${result.skipped} rows skipped)`;
+
+        startBtn.disabled = result.rows.length === 0 || !document.getElementById('measurementMower').value;
+    }
+
+    async executeMeasurementImport() {
+        const startBtn = document.getElementById('startImportBtn');
+        const btnText = document.getElementById('importBtnText');
+        const btnSpinner = document.getElementById('importBtnSpinner');
+        const mowerId = document.getElementById('measurementMower').value;
+        const { battery, gps, states } = this.measurementImport.result;
+
+        startBtn.disabled = true;
+        btnText.classList.add('hidden');
+        btnSpinner.classList.remove('hidden');
+
+        try {
+            const steps = [
+                { label: 'battery', data: battery, importer: (id, data) => window.lawnmowerAPI.importBatteryMeasurements(id, data) },
+                { label: 'GPS', data: gps, importer: (id, data) => window.lawnmowerAPI.importGpsMeasurements(id, data) },
+                { label: 'state', data: states, importer: (id, data) => window.lawnmowerAPI.importStateMeasurements(id, data) }
+            ].filter(step => step.data.length > 0);
+
+            for (let i = 0; i < steps.length; i++) {
+                this.updateProgress(`Importing ${steps[i].label} measurements...`, (i / steps.length) * 100);
+                await steps[i].importer(mowerId, steps[i].data);
+            }
+
+            const total = battery.length + gps.length + states.length;
+            this.updateProgress('Import complete', 100);
+            this.app.showToast(`Successfully imported ${total} measurements`, 'success');
+
+            // Show the imported history if it belongs to the open mower
+            if (this.app.currentDevice && String(this.app.currentDevice.id) === String(mowerId)) {
+                this.app.loadTabContent(this.app.currentTab);
+            }
+
+            setTimeout(() => this.closeImportDialog(), 1000);
+
+        } catch (error) {
+            console.error('Measurement import failed:', error);
+            this.app.showToast('Import failed: ' + error.message, 'error');
+        } finally {
+            startBtn.disabled = false;
+            btnText.classList.remove('hidden');
+            btnSpinner.classList.add('hidden');
+        }
+    }
+
     // Export Dialog
     async showExportDialog() {
         if (!this.app.currentDevice) {
@@ -342,13 +580,25 @@ class ImportExportManager {
                         </div>
                     </div>
 
+                    <!-- Export Format -->
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Format:</label>
+                        <select id="exportFormat"
+                            class="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot text-sm">
+                            <option value="json">Mower data (JSON)</option>
+                            <option value="gpx">Track as GPX</option>
+                            <option value="kml">Track as KML</option>
+                            <option value="geojson">Track as GeoJSON</option>
+                        </select>
+                    </div>
+
                     <!-- Export Options -->
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-3">Export options:</label>
                         <div class="space-y-2">
                             <label class="flex items-center">
                                 <input type="radio" name="exportType" value="current" class="mr-2" checked>
-                                <span class="text-sm">Current data only</span>
+                                <span class="text-sm" id="exportCurrentLabel">Current data only</span>
                             </label>
                             <label class="flex items-center">
                                 <input type="radio" name="exportType" value="full" class="mr-2">
@@ -392,7 +642,20 @@ class ImportExportManager {
         const cancelBtn = document.getElementById('cancelExportBtn');
 
         startBtn.addEventListener('click', () => this.executeExport());
-        cancelBtn.addEventListener('click', () => this.closeExportDialog());
+        cancelBtn.addEventListener('click', () => {
+            // Stops a running export first, a second click closes the dialog
+            if (this.exportController) {
+                this.exportController.abort();
+            } else {
+                this.closeExportDialog();
+            }
+        });
+
+        // Tracks cover a time range rather than a single snapshot
+        document.getElementById('exportFormat').addEventListener('change', (e) => {
+            document.getElementById('exportCurrentLabel').textContent =
+                e.target.value === 'json' ? 'Current data only' : 'Displayed time range';
+        });
 
         // Close on overlay click
         this.currentDialog.addEventListener('click', (e) => {
@@ -402,9 +665,15 @@ class ImportExportManager {
 
     async executeExport() {
         const exportType = document.querySelector('input[name="exportType"]:checked').value;
+        const format = document.getElementById('exportFormat').value;
         const progressDiv = document.getElementById('exportProgress');
         const resultDiv = document.getElementById('exportResult');
         
+        if (format !== 'json') {
+            await this.executeTrackExport(format, exportType === 'full');
+            return;
+        }
+
         progressDiv.classList.remove('hidden');
         
         try {
@@ -420,11 +689,15 @@ class ImportExportManager {
                 return;
             }
 
-            this.updateExportProgress('Collecting device data...', 25);
+            this.updateExportProgress('Collecting device data...', 0);
             
-            const exportData = await this.collectExportData(exportType === 'full');
+            this.exportController = new AbortController();
+            const exportData = await this.collectExportData(exportType === 'full', {
+                signal: this.exportController.signal,
+                onProgress: (fraction) => this.updateExportProgress('Collecting device data...', Math.round(fraction * 90))
+            });
             
-            this.updateExportProgress('Generating file...', 75);
+            this.updateExportProgress('Generating file...', 95);
             
             const json = JSON.stringify(exportData, null, 2);
             await window.electronAPI.writeFile(result.filePath, json);
@@ -438,13 +711,20 @@ class ImportExportManager {
             this.app.showToast('Export completed successfully', 'success');
 
         } catch (error) {
+            progressDiv.classList.add('hidden');
+            if (window.lawnmowerAPI.constructor.isAbortError(error)) {
+                this.app.showToast('Export cancelled', 'info');
+                return;
+            }
             console.error('Export failed:', error);
             this.app.showToast('Export failed: ' + error.message, 'error');
-            progressDiv.classList.add('hidden');
+        } finally {
+            this.exportController = null;
         }
     }
 
-    async collectExportData(fullHistory) {
+    // options: { signal, onProgress } for the full history download, onProgress receives 0..1
+    async collectExportData(fullHistory, options = {}) {
         const device = this.app.currentDevice;
         const exportData = {
             mowers: [{
@@ -452,6 +732,7 @@ class ImportExportManager {
                 name: device.name,
                 address: device.address,
                 avatar: null,
+                zones: this.app.zoneManager.exportZones(device.id),
                 history: {
                     statuses: [],
                     battery: [],
@@ -480,11 +761,7 @@ class ImportExportManager {
             const oneYearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
 
             try {
-                const [battery, gps, states] = await Promise.all([
-                    window.lawnmowerAPI.getBatteryHistory(device.id, oneYearAgo, now),
-                    window.lawnmowerAPI.getGpsHistory(device.id, oneYearAgo, now),
-                    window.lawnmowerAPI.getStateHistory(device.id, oneYearAgo, now)
-                ]);
+                const { battery, gps, states } = await this.loadHistory(device, oneYearAgo, now, options);
 
                 mower.history.battery = battery.map(item => ({
                     ts: item.timestamp,
@@ -503,6 +780,7 @@ class ImportExportManager {
                 }));
 
             } catch (error) {
+                if (window.lawnmowerAPI.constructor.isAbortError(error)) throw error;
                 console.error('Failed to load history:', error);
             }
         } else {
@@ -543,6 +821,289 @@ class ImportExportManager {
         return exportData;
     }
 
+    // Track Export (GPX, KML, GeoJSON)
+    async executeTrackExport(format, fullHistory) {
+        const progressDiv = document.getElementById('exportProgress');
+        const resultDiv = document.getElementById('exportResult');
+        const device = this.app.currentDevice;
+
+        let timeRange;
+        if (fullHistory) {
+            const now = new Date();
+            timeRange = { from: new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000), to: now };
+        } else {
+            timeRange = this.app.mapManager.getTimeRange();
+        }
+
+        progressDiv.classList.remove('hidden');
+
+        try {
+            this.updateExportProgress('Collecting track data...', 0);
+            this.exportController = new AbortController();
+            const filePath = await this.exportTrack(device, format, timeRange.from, timeRange.to, {
+                signal: this.exportController.signal,
+                onProgress: (fraction) => this.updateExportProgress('Collecting track data...', Math.round(fraction * 90))
+            });
+
+            if (!filePath) {
+                progressDiv.classList.add('hidden');
+                return;
+            }
+
+            this.updateExportProgress('Complete', 100);
+            document.getElementById('exportPath').textContent = filePath;
+            progressDiv.classList.add('hidden');
+            resultDiv.classList.remove('hidden');
+
+        } catch (error) {
+            progressDiv.classList.add('hidden');
+            if (window.lawnmowerAPI.constructor.isAbortError(error)) {
+                this.app.showToast('Export cancelled', 'info');
+                return;
+            }
+            console.error('Track export failed:', error);
+            this.app.showToast('Export failed: ' + error.message, 'error');
+        } finally {
+            this.exportController = null;
+        }
+    }
+
+    // Also used by the map context menu for a single track
+    async exportTrack(device, format, from, to, options = {}) {
+        const formats = {
+            gpx: { name: 'GPX Files', generate: track => this.generateGpx(track) },
+            kml: { name: 'KML Files', generate: track => this.generateKml(track) },
+            geojson: { name: 'GeoJSON Files', generate: track => this.generateGeoJson(track) }
+        };
+        const target = formats[format];
+
+        const track = await this.collectTrackData(device, from, to, options);
+        if (track.points.length === 0) {
+            this.app.showToast('No GPS data in the selected time range', 'warning');
+            return null;
+        }
+
+        const result = await window.electronAPI.showSaveDialog({
+            defaultPath: `track-${device.id}-${from.toISOString().split('T')[0]}.${format}`,
+            filters: [
+                { name: target.name, extensions: [format] }
+            ]
+        });
+
+        if (result.canceled) return null;
+
+        const writeResult = await window.electronAPI.writeFile(result.filePath, target.generate(track));
+        if (!writeResult.success) {
+            throw new Error(writeResult.error);
+        }
+
+        this.app.showToast(`Exported ${track.points.length} track points`, 'success');
+        return result.filePath;
+    }
+
+    async collectTrackData(device, from, to, options = {}) {
+        const { gps, states, battery } = await this.loadHistory(device, from, to, {
+            ...options,
+            fallback: { states: [], battery: [] }
+        });
+
+        const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+        states.sort(byTime);
+        battery.sort(byTime);
+
+        // Annotate each GPS fix with the last known state and battery level
+        let stateIndex = -1;
+        let batteryIndex = -1;
+        const points = gps.sort(byTime).map(point => {
+            const timestamp = new Date(point.timestamp);
+            while (stateIndex + 1 < states.length && new Date(states[stateIndex + 1].timestamp) <= timestamp) stateIndex++;
+            while (batteryIndex + 1 < battery.length && new Date(battery[batteryIndex + 1].timestamp) <= timestamp) batteryIndex++;
+
+            const state = stateIndex >= 0 ? states[stateIndex].state : null;
+            return {
+                lat: point.latitude,
+                lon: point.longitude,
+                timestamp,
+                state,
+                stateName: state !== null ? this.getStateName(state) : null,
+                battery: batteryIndex >= 0 ? battery[batteryIndex].batteryLevel : null
+            };
+        });
+
+        return { device, from, to, points };
+    }
+
+    // Battery, GPS and state history of one mower, downloaded in slices with one combined progress.
+    // fallback: per-kind value used when that kind fails, otherwise a failure rejects the whole load
+    async loadHistory(device, from, to, { signal, onProgress, fallback = {} } = {}) {
+        const api = window.lawnmowerAPI;
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', cancel);
+        }
+
+        const loaders = {
+            battery: (options) => api.getBatteryHistory(device.id, from, to, options),
+            gps: (options) => api.getGpsHistory(device.id, from, to, options),
+            states: (options) => api.getStateHistory(device.id, from, to, options)
+        };
+        const fractions = { battery: 0, gps: 0, states: 0 };
+        const reportProgress = (key, { loaded, total }) => {
+            fractions[key] = loaded / total;
+            if (onProgress) onProgress((fractions.battery + fractions.gps + fractions.states) / 3);
+        };
+
+        try {
+            const results = await Promise.all(Object.entries(loaders).map(async ([key, load]) => {
+                try {
+                    return await load({
+                        signal: controller.signal,
+                        onProgress: (progress) => reportProgress(key, progress)
+                    });
+                } catch (error) {
+                    if (key in fallback && !api.constructor.isAbortError(error)) return fallback[key];
+                    // No point in downloading the other kinds once the load has failed
+                    controller.abort();
+                    throw error;
+                }
+            }));
+
+            return { battery: results[0], gps: results[1], states: results[2] };
+        } finally {
+            if (signal) signal.removeEventListener('abort', cancel);
+        }
+    }
+
+    generateGpx(track) {
+        const trackPoints = track.points.map(point => {
+            const extensions = [];
+            if (point.stateName !== null) {
+                extensions.push(`<greenbot:state>${this.escapeXml(point.stateName)}</greenbot:state>`);
+            }
+            if (point.battery !== null) {
+                extensions.push(`<greenbot:battery>${point.battery}</greenbot:battery>`);
+            }
+
+            return `
+      <trkpt lat="${point.lat}" lon="${point.lon}">
+        <time>${point.timestamp.toISOString()}</time>${extensions.length > 0 ? `
+        <extensions>
+          ${extensions.join('\n          ')}
+        </extensions>` : ''}
+      </trkpt>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GreenBot Lawnmower Cockpit"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:greenbot="urn:greenbot:lawnmower">
+  <metadata>
+    <name>${this.escapeXml(track.device.name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+  <trk>
+    <name>${this.escapeXml(track.device.name)} ${track.from.toLocaleString()} - ${track.to.toLocaleString()}</name>
+    <trkseg>${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+    }
+
+    generateKml(track) {
+        const when = track.points.map(point => `
+        <when>${point.timestamp.toISOString()}</when>`).join('');
+        const coords = track.points.map(point => `
+        <gx:coord>${point.lon} ${point.lat} 0</gx:coord>`).join('');
+        const values = (key) => track.points.map(point => `
+            <gx:value>${point[key] !== null ? this.escapeXml(String(point[key])) : ''}</gx:value>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${this.escapeXml(track.device.name)}</name>
+    <Schema id="mowerData">
+      <gx:SimpleArrayField name="state" type="string">
+        <displayName>State</displayName>
+      </gx:SimpleArrayField>
+      <gx:SimpleArrayField name="battery" type="float">
+        <displayName>Battery (%)</displayName>
+      </gx:SimpleArrayField>
+    </Schema>
+    <Style id="trackStyle">
+      <LineStyle>
+        <color>ff228b22</color>
+        <width>3</width>
+      </LineStyle>
+    </Style>
+    <Placemark>
+      <name>${this.escapeXml(track.device.name)} ${track.from.toLocaleString()} - ${track.to.toLocaleString()}</name>
+      <styleUrl>#trackStyle</styleUrl>
+      <gx:Track>${when}${coords}
+        <ExtendedData>
+          <SchemaData schemaUrl="#mowerData">
+            <gx:SimpleArrayData name="state">${values('stateName')}
+            </gx:SimpleArrayData>
+            <gx:SimpleArrayData name="battery">${values('battery')}
+            </gx:SimpleArrayData>
+          </SchemaData>
+        </ExtendedData>
+      </gx:Track>
+    </Placemark>
+  </Document>
+</kml>
+`;
+    }
+
+    generateGeoJson(track) {
+        const geoJson = {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: track.points.map(point => [point.lon, point.lat])
+                    },
+                    properties: {
+                        mowerId: track.device.id,
+                        name: track.device.name,
+                        startTime: track.points[0].timestamp.toISOString(),
+                        endTime: track.points[track.points.length - 1].timestamp.toISOString(),
+                        coordTimes: track.points.map(point => point.timestamp.toISOString())
+                    }
+                },
+                ...track.points.map(point => ({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [point.lon, point.lat]
+                    },
+                    properties: {
+                        mowerId: track.device.id,
+                        timestamp: point.timestamp.toISOString(),
+                        state: point.state,
+                        stateName: point.stateName,
+                        battery: point.battery
+                    }
+                }))
+            ]
+        };
+
+        return JSON.stringify(geoJson, null, 2);
+    }
+
+    escapeXml(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
     // Utility methods
     readFileContent(file) {
         return new Promise((resolve, reject) => {
@@ -582,15 +1143,17 @@ class ImportExportManager {
     }
 
     parseStateValue(state) {
+        // Accept identifiers (StationCharging) as well as display names (Station Charging)
         const stateMap = {
-            'StationCharging': 0,
-            'StationChargingCompleted': 1,
-            'Mowing': 2,
-            'ReturningToStation': 3,
-            'Paused': 4,
-            'Error': 5
+            'stationcharging': 0,
+            'stationchargingcompleted': 1,
+            'mowing': 2,
+            'returningtostation': 3,
+            'paused': 4,
+            'error': 5
         };
-        return stateMap[state] !== undefined ? stateMap[state] : parseInt(state);
+        const key = String(state).replace(/\s+/g, '').toLowerCase();
+        return stateMap[key] !== undefined ? stateMap[key] : parseInt(state);
     }
 
     getStateName(stateId) {
@@ -603,6 +1166,8 @@ class ImportExportManager {
     }
 
     closeImportDialog() {
+        this.measurementImport = null;
+
         if (this.currentDialog) {
             document.body.removeChild(this.currentDialog);
             this.currentDialog = null;
@@ -610,6 +1175,10 @@ class ImportExportManager {
     }
 
     closeExportDialog() {
+        if (this.exportController) {
+            this.exportController.abort();
+            this.exportController = null;
+        }
         if (this.currentDialog) {
             document.body.removeChild(this.currentDialog);
             this.currentDialog = null;
@@ -13,6 +13,20 @@ class MapManager {
         this.stuckMarkers = [];
         this.pathPoints = [];
         this.isInitialized = false;
+        this.historyController = null; // cancels the GPS history load of a superseded track or fleet view
+        this.trailEnds = new WeakMap(); // trail layer -> { latlng, marker } of its last point, so slices can be appended
+        this.pathColors = {
+            color: '#228B22',
+            latestColor: '#39FF14',
+            borderColor: '#7F8F3D'
+        };
+
+        // Fleet map mode
+        this.fleetMode = false;
+        this.fleetLayers = new Map(); // lawnmowerId -> { device, marker, trailLayer, points, color, state, visible }
+        this.fleetLegend = null;
+        this.avatarUrls = new Map();
+        this.fleetColors = ['#228B22', '#1E90FF', '#FF8C00', '#8A2BE2', '#DC143C', '#008B8B', '#DAA520', '#FF1493', '#2F4F4F', '#7F8F3D'];
     }
 
     async initialize() {
@@ -45,9 +59,10 @@ class MapManager {
                 attributionControl: false
             }).setView([47.3769, 8.5417], 13); // Default to Zurich
 
-            // Add OpenStreetMap tiles
-            const tileLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '© OpenStreetMap contributors'
+            // Add OpenStreetMap tiles, served by the main process from the offline cache
+            const tileLayer = L.tileLayer('tiles://osm/{z}/{x}/{y}.png', {
+                attribution: '© OpenStreetMap contributors',
+                maxZoom: 19
             });
 
             // Add tiles to map immediately
@@ -56,6 +71,11 @@ class MapManager {
             // Initialize path layer group
             this.pathLayer = L.layerGroup().addTo(this.map);
 
+            // Mowing zones are drawn below the path
+            if (this.app.zoneManager) {
+                this.app.zoneManager.attachToMap(this.map);
+            }
+
             // Add custom controls
             this.addMapControls();
 
@@ -149,6 +169,96 @@ class MapManager {
             return div;
         };
         clearControl.addTo(this.map);
+
+        // Fleet map toggle button
+        const fleetControl = L.control({ position: 'topright' });
+        fleetControl.onAdd = () => {
+            const div = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-custom');
+            div.innerHTML = `
+                <a href="#" title="Toggle fleet map" role="button" aria-label="Toggle fleet map">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M16 11c1.66 0 2.99-1.34 2.99-3S17.66 5 16 5c-1.66 0-3 1.34-3 3s1.34 3 3 3zm-8 0c1.66 0 2.99-1.34 2.99-3S9.66 5 8 5C6.34 5 5 6.34 5 8s1.34 3 3 3zm0 2c-2.33 0-7 1.17-7 3.5V19h14v-2.5c0-2.33-4.67-3.5-7-3.5zm8 0c-.29 0-.62.02-.97.05 1.16.84 1.97 1.97 1.97 3.45V19h6v-2.5c0-2.33-4.67-3.5-7-3.5z"/>
+                    </svg>
+                </a>
+            `;
+            div.style.backgroundColor = 'white';
+            div.style.width = '30px';
+            div.style.height = '30px';
+            div.style.display = 'flex';
+            div.style.alignItems = 'center';
+            div.style.justifyContent = 'center';
+            div.style.cursor = 'pointer';
+            div.style.marginTop = '5px';
+
+            div.onclick = (e) => {
+                e.preventDefault();
+                this.setFleetMode(!this.fleetMode);
+            };
+
+            this.fleetControlButton = div;
+            return div;
+        };
+        fleetControl.addTo(this.map);
+
+        // Draw/edit mowing zone button
+        const zoneControl = L.control({ position: 'topright' });
+        zoneControl.onAdd = () => {
+            const div = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-custom');
+            div.innerHTML = `
+                <a href="#" title="Draw mowing zone / finish editing" role="button" aria-label="Draw mowing zone">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M12 2L2 9l4 13h12l4-13L12 2zm0 2.5l7.6 5.3L16.5 20h-9L4.4 9.8 12 4.5z"/>
+                    </svg>
+                </a>
+            `;
+            div.style.backgroundColor = 'white';
+            div.style.width = '30px';
+            div.style.height = '30px';
+            div.style.display = 'flex';
+            div.style.alignItems = 'center';
+            div.style.justifyContent = 'center';
+            div.style.cursor = 'pointer';
+            div.style.marginTop = '5px';
+
+            L.DomEvent.disableClickPropagation(div);
+            div.onclick = (e) => {
+                e.preventDefault();
+                this.app.zoneManager.toggleDrawing();
+            };
+
+            return div;
+        };
+        zoneControl.addTo(this.map);
+
+        // Download tiles for offline use
+        const tileCacheControl = L.control({ position: 'topright' });
+        tileCacheControl.onAdd = () => {
+            const div = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-custom');
+            div.innerHTML = `
+                <a href="#" title="Download map tiles for offline use" role="button" aria-label="Download map tiles">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
+                    </svg>
+                </a>
+            `;
+            div.style.backgroundColor = 'white';
+            div.style.width = '30px';
+            div.style.height = '30px';
+            div.style.display = 'flex';
+            div.style.alignItems = 'center';
+            div.style.justifyContent = 'center';
+            div.style.cursor = 'pointer';
+            div.style.marginTop = '5px';
+
+            L.DomEvent.disableClickPropagation(div);
+            div.onclick = (e) => {
+                e.preventDefault();
+                this.app.tileCacheManager.showSeedDialog();
+            };
+
+            return div;
+        };
+        tileCacheControl.addTo(this.map);
     }
 
     setDevice(device) {
@@ -156,6 +266,18 @@ class MapManager {
         this.clearPath();
         this.clearStuckMarkers();
 
+        if (this.app.zoneManager) {
+            this.app.zoneManager.setDevice(device);
+        }
+
+        if (this.app.coverageManager) {
+            this.app.coverageManager.setDevice(device);
+        }
+
+        if (this.app.playbackManager) {
+            this.app.playbackManager.setDevice(device);
+        }
+
         if (device && this.isInitialized) {
             this.loadDeviceHistory();
         }
@@ -164,28 +286,28 @@ class MapManager {
     async loadDeviceHistory() {
         if (!this.currentDevice) return;
 
+        const controller = this.startHistoryLoad();
+
         try {
             // Show loading overlay (only if map is initialized)
             if (this.isInitialized) {
                 this.showMapLoading();
             }
 
-            // Load GPS history for the current time range
+            // Load GPS history for the current time range; the path is extended as each slice arrives
             const timeRange = this.getTimeRange();
-            const history = await window.lawnmowerAPI.getGpsHistory(
+            this.clearPath();
+            await window.lawnmowerAPI.getGpsHistory(
                 this.currentDevice.id,
                 timeRange.from,
-                timeRange.to
+                timeRange.to,
+                {
+                    signal: controller.signal,
+                    onChunk: (chunk) => this.appendPath(this.toPathPoints(chunk)),
+                    onProgress: (progress) => this.updateMapLoading(progress)
+                }
             );
 
-            this.pathPoints = history.map(point => ({
-                lat: point.latitude,
-                lng: point.longitude,
-                timestamp: new Date(point.timestamp)
-            }));
-
-            this.renderPath();
-
             // If no GPS history, try to get current position
             if (this.pathPoints.length === 0) {
                 try {
@@ -205,19 +327,47 @@ class MapManager {
                 const latest = this.pathPoints[this.pathPoints.length - 1];
                 await this.updatePosition(latest.lat, latest.lng, latest.timestamp);
                 this.map.setView([latest.lat, latest.lng], 16);
+
+                // Historic tracks can be replayed with the playback control
+                await this.app.playbackManager.setTrack(this.pathPoints, {
+                    signal: controller.signal,
+                    onProgress: (progress) => this.updateMapLoading(progress)
+                });
             }
 
         } catch (error) {
+            if (window.lawnmowerAPI.constructor.isAbortError(error)) return;
             console.error('Failed to load device GPS history:', error);
             this.showNoGpsData();
         } finally {
-            // Always hide loading overlay
-            if (this.isInitialized) {
+            // Always hide loading overlay, unless a newer load owns it
+            if (this.finishHistoryLoad(controller) && this.isInitialized) {
                 this.hideMapLoading();
             }
         }
     }
 
+    // Only the most recent track or fleet load may draw, cancel any that is still running
+    startHistoryLoad() {
+        if (this.historyController) this.historyController.abort();
+        this.historyController = new AbortController();
+        return this.historyController;
+    }
+
+    finishHistoryLoad(controller) {
+        if (this.historyController !== controller) return false;
+        this.historyController = null;
+        return true;
+    }
+
+    toPathPoints(history) {
+        return history.map(point => ({
+            lat: point.latitude,
+            lng: point.longitude,
+            timestamp: new Date(point.timestamp)
+        }));
+    }
+
     showMapLoading() {
         const container = document.getElementById('mapContainer');
         
@@ -270,6 +420,24 @@ class MapManager {
         }
     }
 
+    updateMapLoading(progress) {
+        const loadingText = document.querySelector('#mapContainer .loading-overlay .loading-text');
+        if (loadingText && progress.total > 1) {
+            loadingText.textContent = `Loading map... ${Math.round(progress.loaded / progress.total * 100)}%`;
+        }
+    }
+
+    // Once part of the path is drawn, the overlay keeps only its progress text and lets the map show through
+    revealMapLoading() {
+        const loadingOverlay = document.querySelector('#mapContainer .loading-overlay');
+        if (loadingOverlay) {
+            loadingOverlay.style.backgroundColor = 'transparent';
+            loadingOverlay.style.backdropFilter = 'none';
+            loadingOverlay.style.pointerEvents = 'none';
+            loadingOverlay.style.alignItems = 'flex-start';
+        }
+    }
+
     hideMapLoading() {
         const container = document.getElementById('mapContainer');
         const loadingOverlay = container.querySelector('.loading-overlay');
@@ -314,25 +482,15 @@ class MapManager {
     }
 
     getTimeRange() {
-        const cockpit = this.app.cockpitManager;
-        const now = new Date();
-        const config = cockpit.getConfig();
-        
-        if (cockpit.isInLiveMode()) {
-            return {
-                from: new Date(now.getTime() - config.liveRange * 1000),
-                to: now
-            };
-        } else {
-            return {
-                from: new Date(now.getTime() - config.historyRange * 1000),
-                to: now
-            };
-        }
+        return this.app.cockpitManager.getTimeRange();
     }
 
     async updatePosition(latitude, longitude, timestamp) {
-        if (!this.isInitialized) return;
+        // Single-device layers are hidden in fleet mode and reloaded when it ends
+        if (!this.isInitialized || this.fleetMode) return;
+
+        // The playback control owns the marker while a track is replayed
+        if (this.app.playbackManager.isActive()) return;
 
         const position = [latitude, longitude];
         
@@ -368,59 +526,17 @@ class MapManager {
     async createDeviceMarker(latitude, longitude) {
         const position = [latitude, longitude];
         
-        // Create custom icon using device avatar or default
-        let iconHtml = '';
-        
         // Try to get avatar for the current device
-        let avatarUrl = null;
-        if (this.currentDevice) {
-            try {
-                const avatar = await window.lawnmowerAPI.getLawnmowerAvatar(this.currentDevice.id);
-                if (avatar) {
-                    avatarUrl = `data:${avatar.contentType};base64,${avatar.data}`;
-                }
-            } catch (error) {
-                console.log('No avatar available for device:', error);
-            }
-        }
-        
-        if (avatarUrl) {
-            // Use avatar as marker icon
-            iconHtml = `
-                <div class="device-marker">
-                    <div class="device-marker-icon">
-                        <img src="${avatarUrl}" alt="Device Avatar" style="width: 20px; height: 20px; border-radius: 50%; object-fit: cover;" />
-                    </div>
-                    <div class="device-marker-pulse"></div>
-                </div>
-            `;
-        } else {
-            // Use default SVG marker
-            iconHtml = `
-                <div class="device-marker">
-                    <div class="device-marker-icon">
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="#228B22">
-                            <path d="M12,6.5A2.5,2.5 0 0,1 14.5,9A2.5,2.5 0 0,1 12,11.5A2.5,2.5 0 0,1 9.5,9A2.5,2.5 0 0,1 12,6.5M12,2A7,7 0 0,1 19,9C19,14.25 12,22 12,22C12,22 5,14.25 5,9A7,7 0 0,1 12,2M12,4A5,5 0 0,0 7,9C7,13 12,19.16 12,19.16C12,19.16 17,13 17,9A5,5 0 0,0 12,4Z"/>
-                        </svg>
-                    </div>
-                    <div class="device-marker-pulse"></div>
-                </div>
-            `;
-        }
-
-        const customIcon = L.divIcon({
-            html: iconHtml,
-            className: 'custom-device-marker',
-            iconSize: [30, 30],
-            iconAnchor: [15, 15]
-        });
+        const avatarUrl = this.currentDevice ? await this.getAvatarUrl(this.currentDevice.id) : null;
+        const customIcon = this.createMarkerIcon(avatarUrl);
 
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
         this.deviceMarker = L.marker(position, { icon: customIcon })
             .bindPopup(() => {
                 return `
                     <div class="device-popup">
-                        <h4 class="font-semibold">${this.currentDevice ? this.currentDevice.name : 'Device'}</h4>
-                        <p class="text-sm text-gray-600">${this.currentDevice ? this.currentDevice.address : 'Unknown address'}</p>
+                        <h4 class="font-semibold">${this.currentDevice ? escapeHtml(this.currentDevice.name) : 'Device'}</h4>
+                        <p class="text-sm text-gray-600">${this.currentDevice ? escapeHtml(this.currentDevice.address) : 'Unknown address'}</p>
                         <p class="text-xs text-gray-500 mt-2">
                             Current Position:<br>
                             ${latitude.toFixed(6)}, ${longitude.toFixed(6)}
@@ -433,18 +549,101 @@ class MapManager {
         console.log('Device marker created at:', latitude, longitude);
     }
 
+    async getAvatarUrl(deviceId) {
+        if (this.avatarUrls.has(deviceId)) {
+            return this.avatarUrls.get(deviceId);
+        }
+
+        let avatarUrl = null;
+        try {
+            const avatar = await window.lawnmowerAPI.getLawnmowerAvatar(deviceId);
+            if (avatar && avatar.ok) {
+                const blob = await avatar.blob();
+                avatarUrl = URL.createObjectURL(blob);
+            }
+        } catch (error) {
+            console.log('No avatar available for device:', error);
+        }
+
+        this.avatarUrls.set(deviceId, avatarUrl);
+        return avatarUrl;
+    }
+
+    createMarkerIcon(avatarUrl, options = {}) {
+        const { color = '#228B22', badge = null } = options;
+        const borderStyle = options.color ? `border: 2px solid ${color};` : '';
+
+        let iconContent;
+        if (avatarUrl) {
+            // Use avatar as marker icon
+            iconContent = `<img src="${avatarUrl}" alt="Device Avatar" style="width: 20px; height: 20px; border-radius: 50%; object-fit: cover;" />`;
+        } else {
+            // Use default SVG marker
+            iconContent = `
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="${color}">
+                    <path d="M12,6.5A2.5,2.5 0 0,1 14.5,9A2.5,2.5 0 0,1 12,11.5A2.5,2.5 0 0,1 9.5,9A2.5,2.5 0 0,1 12,6.5M12,2A7,7 0 0,1 19,9C19,14.25 12,22 12,22C12,22 5,14.25 5,9A7,7 0 0,1 12,2M12,4A5,5 0 0,0 7,9C7,13 12,19.16 12,19.16C12,19.16 17,13 17,9A5,5 0 0,0 12,4Z"/>
+                </svg>
+            `;
+        }
+
+        const iconHtml = `
+            <div class="device-marker">
+                <div class="device-marker-icon" style="${borderStyle}">
+                    ${iconContent}
+                </div>
+                <div class="device-marker-pulse"></div>
+                ${badge ? `<span class="fleet-marker-badge ${badge.className}">${badge.text}</span>` : ''}
+            </div>
+        `;
+
+        return L.divIcon({
+            html: iconHtml,
+            className: 'custom-device-marker',
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        });
+    }
+
     renderPath() {
         if (!this.isInitialized || this.pathPoints.length === 0) return;
 
+        this.renderTrail(this.pathLayer, this.pathPoints, this.pathColors, this.currentDevice);
+    }
+
+    // Extends the path with the next slice of a history load without redrawing what is already shown
+    appendPath(points) {
+        points.forEach(point => this.pathPoints.push(point));
+        if (!this.isInitialized || points.length === 0) return;
+
+        this.appendTrail(this.pathLayer, points, this.pathPoints, this.pathColors, this.currentDevice);
+        this.revealMapLoading();
+    }
+
+    renderTrail(layer, points, colors, device) {
         // Clear existing path
-        this.pathLayer.clearLayers();
+        layer.clearLayers();
+        this.trailEnds.delete(layer);
+
+        this.appendTrail(layer, points, points, colors, device);
+    }
+
+    // Draws points after the end of the trail on the layer; track is the whole trail, offered for export
+    appendTrail(layer, points, track, colors, device) {
+        if (points.length === 0) return;
+
+        // The previous end of the trail is no longer the latest position
+        const end = this.trailEnds.get(layer);
+        if (end) {
+            end.marker.setStyle({ fillColor: colors.color });
+        }
 
         // Create path points as individual markers
-        this.pathPoints.forEach((point, index) => {
+        let lastCircle = null;
+        points.forEach((point, index) => {
             const circle = L.circleMarker([point.lat, point.lng], {
                 radius: 3,
-                fillColor: index === this.pathPoints.length - 1 ? '#39FF14' : '#228B22',
-                color: '#7F8F3D',
+                fillColor: index === points.length - 1 ? colors.latestColor : colors.color,
+                color: colors.borderColor,
                 weight: 1,
                 opacity: 0.8,
                 fillOpacity: 0.6
@@ -453,19 +652,321 @@ class MapManager {
                 offset: [0, -5]
             });
 
-            this.pathLayer.addLayer(circle);
+            layer.addLayer(circle);
+            lastCircle = circle;
         });
 
-        // Connect points with a polyline
-        if (this.pathPoints.length > 1) {
-            const pathCoords = this.pathPoints.map(p => [p.lat, p.lng]);
+        // Connect points with a polyline, starting at the end of the trail drawn so far
+        const pathCoords = points.map(p => [p.lat, p.lng]);
+        if (end) {
+            pathCoords.unshift(end.latlng);
+        }
+        if (pathCoords.length > 1) {
             const polyline = L.polyline(pathCoords, {
-                color: '#228B22',
+                color: colors.color,
                 weight: 2,
                 opacity: 0.7
             });
 
-            this.pathLayer.addLayer(polyline);
+            // Right-click a track to export it
+            if (device) {
+                polyline.on('contextmenu', (e) => this.showTrackExportMenu(e.latlng, device, track));
+            }
+
+            layer.addLayer(polyline);
+        }
+
+        const last = points[points.length - 1];
+        this.trailEnds.set(layer, { latlng: [last.lat, last.lng], marker: lastCircle });
+    }
+
+    showTrackExportMenu(latlng, device, points) {
+        const from = new Date(points[0].timestamp);
+        // Pad the end so the last fix is included in the history query
+        const to = new Date(new Date(points[points.length - 1].timestamp).getTime() + 1000);
+
+        const content = L.DomUtil.create('div', 'track-export-menu');
+        content.innerHTML = `
+            <div class="font-semibold text-sm mb-1">${window.lawnmowerAPI.constructor.escapeHtml(device.name)}</div>
+            <div class="text-xs text-gray-600 mb-2">${from.toLocaleTimeString()} - ${to.toLocaleTimeString()}</div>
+            <div class="flex space-x-1">
+                <button type="button" data-format="gpx" class="text-xs px-2 py-1 bg-gray-100 rounded hover:bg-gray-200">GPX</button>
+                <button type="button" data-format="kml" class="text-xs px-2 py-1 bg-gray-100 rounded hover:bg-gray-200">KML</button>
+                <button type="button" data-format="geojson" class="text-xs px-2 py-1 bg-gray-100 rounded hover:bg-gray-200">GeoJSON</button>
+            </div>
+        `;
+
+        const popup = L.popup().setLatLng(latlng).setContent(content).openOn(this.map);
+
+        content.querySelectorAll('button[data-format]').forEach(button => {
+            button.addEventListener('click', async () => {
+                this.map.closePopup(popup);
+                try {
+                    await this.app.importExportManager.exportTrack(device, button.dataset.format, from, to);
+                } catch (error) {
+                    console.error('Track export failed:', error);
+                    this.app.showToast('Export failed: ' + error.message, 'error');
+                }
+            });
+        });
+    }
+
+    // Fleet map mode
+    async setFleetMode(enabled) {
+        if (!this.isInitialized || enabled === this.fleetMode) return;
+
+        this.fleetMode = enabled;
+        if (this.fleetControlButton) {
+            this.fleetControlButton.classList.toggle('leaflet-control-active', enabled);
+        }
+
+        if (enabled) {
+            this.app.playbackManager.reset();
+
+            // Hide single-device layers while the whole fleet is shown
+            this.map.removeLayer(this.pathLayer);
+            if (this.deviceMarker) {
+                this.map.removeLayer(this.deviceMarker);
+            }
+            await this.loadFleet();
+        } else {
+            this.clearFleet();
+            this.pathLayer.addTo(this.map);
+            if (this.deviceMarker) {
+                this.deviceMarker.addTo(this.map);
+            }
+            if (this.currentDevice) {
+                this.clearPath();
+                await this.loadDeviceHistory();
+            }
+        }
+    }
+
+    async loadFleet() {
+        const fleet = this.app.fleetManager ? this.app.fleetManager.getFleet() : [];
+        if (fleet.length === 0) {
+            this.app.showToast('No lawnmowers available for the fleet map', 'warning');
+            return;
+        }
+
+        const controller = this.startHistoryLoad();
+        this.showMapLoading();
+
+        try {
+            const timeRange = this.getTimeRange();
+
+            await Promise.allSettled(fleet.map(async (entry, index) => {
+                const layer = this.ensureFleetLayer(entry.device, index);
+                layer.state = entry.state;
+
+                try {
+                    const history = await window.lawnmowerAPI.getGpsHistory(
+                        entry.device.id, timeRange.from, timeRange.to, { signal: controller.signal });
+                    layer.points = this.toPathPoints(history);
+                } catch (error) {
+                    if (window.lawnmowerAPI.constructor.isAbortError(error)) return;
+                    console.error(`Failed to load GPS history for ${entry.device.name}:`, error);
+                }
+
+                // Fall back to the last known position from the fleet overview
+                if (layer.points.length === 0 && entry.latitude !== null) {
+                    layer.points.push({ lat: entry.latitude, lng: entry.longitude, timestamp: entry.lastSeen || new Date() });
+                }
+
+                await this.updateFleetMarker(entry.device.id);
+            }));
+
+            if (controller.signal.aborted) return;
+
+            this.renderFleetLegend();
+            this.fitFleetBounds();
+        } finally {
+            if (this.finishHistoryLoad(controller)) {
+                this.hideMapLoading();
+            }
+        }
+    }
+
+    ensureFleetLayer(device, index) {
+        let layer = this.fleetLayers.get(device.id);
+        if (!layer) {
+            layer = {
+                device,
+                marker: null,
+                trailLayer: L.layerGroup().addTo(this.map),
+                points: [],
+                color: this.fleetColors[index % this.fleetColors.length],
+                state: null,
+                visible: true
+            };
+            this.fleetLayers.set(device.id, layer);
+        }
+        return layer;
+    }
+
+    async updateFleetMarker(deviceId) {
+        const layer = this.fleetLayers.get(deviceId);
+        if (!layer || layer.points.length === 0) return;
+
+        const latest = layer.points[layer.points.length - 1];
+        const avatarUrl = await this.getAvatarUrl(deviceId);
+        const api = window.lawnmowerAPI.constructor;
+        const icon = this.createMarkerIcon(avatarUrl, {
+            color: layer.color,
+            badge: layer.state !== null && layer.state !== undefined
+                ? { text: api.getStateName(layer.state), className: api.getStateClass(layer.state) }
+                : null
+        });
+
+        if (layer.marker) {
+            layer.marker.setLatLng([latest.lat, latest.lng]);
+            layer.marker.setIcon(icon);
+        } else {
+            layer.marker = L.marker([latest.lat, latest.lng], { icon })
+                .bindPopup(() => `
+                    <div class="device-popup">
+                        <h4 class="font-semibold">${api.escapeHtml(layer.device.name)}</h4>
+                        <p class="text-sm text-gray-600">${api.escapeHtml(layer.device.address)}</p>
+                        <p class="text-xs text-gray-500 mt-2">
+                            Current Position:<br>
+                            ${layer.marker.getLatLng().lat.toFixed(6)}, ${layer.marker.getLatLng().lng.toFixed(6)}
+                        </p>
+                    </div>
+                `);
+            if (layer.visible) {
+                layer.marker.addTo(this.map);
+            }
+        }
+
+        this.renderTrail(layer.trailLayer, layer.points, {
+            color: layer.color,
+            latestColor: layer.color,
+            borderColor: layer.color
+        }, layer.device);
+    }
+
+    handleFleetGpsUpdate(data) {
+        if (!this.fleetMode) return;
+
+        const layer = this.fleetLayers.get(data.LawnmowerId);
+        if (!layer) return;
+
+        layer.points.push({ lat: data.Latitude, lng: data.Longitude, timestamp: new Date() });
+
+        // Limit path points to prevent performance issues
+        if (layer.points.length > 1000) {
+            layer.points = layer.points.slice(-500);
+        }
+
+        this.updateFleetMarker(data.LawnmowerId);
+    }
+
+    handleFleetStateUpdate(data) {
+        if (!this.fleetMode) return;
+
+        const layer = this.fleetLayers.get(data.LawnmowerId);
+        if (!layer || layer.state === data.State) return;
+
+        layer.state = data.State;
+        this.updateFleetMarker(data.LawnmowerId);
+    }
+
+    setFleetLayerVisible(deviceId, visible) {
+        const layer = this.fleetLayers.get(deviceId);
+        if (!layer) return;
+
+        layer.visible = visible;
+        if (visible) {
+            layer.trailLayer.addTo(this.map);
+            if (layer.marker) layer.marker.addTo(this.map);
+        } else {
+            this.map.removeLayer(layer.trailLayer);
+            if (layer.marker) this.map.removeLayer(layer.marker);
+        }
+    }
+
+    renderFleetLegend() {
+        if (this.fleetLegend) {
+            this.map.removeControl(this.fleetLegend);
+        }
+
+        this.fleetLegend = L.control({ position: 'bottomleft' });
+        this.fleetLegend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'leaflet-control fleet-legend');
+            const layers = [...this.fleetLayers.values()].sort((a, b) => a.device.name.localeCompare(b.device.name));
+            const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
+
+            div.innerHTML = `
+                <div class="font-semibold text-xs text-gray-700 mb-1">Fleet</div>
+                ${layers.map(layer => `
+                    <label class="fleet-legend-item">
+                        <input type="checkbox" data-device-id="${escapeHtml(layer.device.id)}" ${layer.visible ? 'checked' : ''}>
+                        <span class="fleet-legend-swatch" style="background-color: ${layer.color}"></span>
+                        <span class="truncate">${escapeHtml(layer.device.name)}</span>
+                    </label>
+                `).join('')}
+            `;
+
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            div.addEventListener('change', (e) => {
+                const layer = [...this.fleetLayers.values()].find(l => String(l.device.id) === e.target.dataset.deviceId);
+                if (layer) {
+                    this.setFleetLayerVisible(layer.device.id, e.target.checked);
+                }
+            });
+
+            return div;
+        };
+        this.fleetLegend.addTo(this.map);
+    }
+
+    fitFleetBounds() {
+        const positions = [...this.fleetLayers.values()]
+            .filter(layer => layer.visible && layer.points.length > 0)
+            .map(layer => {
+                const latest = layer.points[layer.points.length - 1];
+                return [latest.lat, latest.lng];
+            });
+
+        if (positions.length === 1) {
+            this.map.setView(positions[0], 16);
+        } else if (positions.length > 1) {
+            this.map.fitBounds(positions, { padding: [30, 30], maxZoom: 18 });
+        }
+    }
+
+    // Avatars are cached per mower id, which is only unique within one connection profile
+    clearAvatars() {
+        [...this.avatarUrls.keys()].forEach(deviceId => this.releaseAvatar(deviceId));
+    }
+
+    // Releases the avatars of mowers that are no longer listed, e.g. after deleting one
+    pruneAvatars(lawnmowers) {
+        [...this.avatarUrls.keys()]
+            .filter(deviceId => !lawnmowers.some(m => m.id == deviceId))
+            .forEach(deviceId => this.releaseAvatar(deviceId));
+    }
+
+    // Also called after uploading a new avatar, the next marker update fetches it again
+    releaseAvatar(deviceId) {
+        const avatarUrl = this.avatarUrls.get(deviceId);
+        if (avatarUrl) URL.revokeObjectURL(avatarUrl);
+        this.avatarUrls.delete(deviceId);
+    }
+
+    clearFleet() {
+        this.fleetLayers.forEach(layer => {
+            this.map.removeLayer(layer.trailLayer);
+            if (layer.marker) {
+                this.map.removeLayer(layer.marker);
+            }
+        });
+        this.fleetLayers.clear();
+
+        if (this.fleetLegend) {
+            this.map.removeControl(this.fleetLegend);
+            this.fleetLegend = null;
         }
     }
 
@@ -506,6 +1007,7 @@ class MapManager {
     clearPath() {
         if (this.pathLayer) {
             this.pathLayer.clearLayers();
+            this.trailEnds.delete(this.pathLayer);
         }
         this.pathPoints = [];
     }
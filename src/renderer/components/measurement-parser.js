@@ -0,0 +1,250 @@
+/**
+ * Measurement Parser
+ * Handles parsing CSV and GPX measurement files into battery, GPS and state history
+ */
+
+class MeasurementParser {
+    static getTimestampFormats() {
+        return [
+            { id: 'iso', label: 'ISO 8601 (2024-05-01T14:30:00)' },
+            { id: 'unix', label: 'Unix seconds (1714573800)' },
+            { id: 'unix-ms', label: 'Unix milliseconds (1714573800000)' },
+            { id: 'dmy-dot', label: 'Day.Month.Year (01.05.2024 14:30)' },
+            { id: 'dmy-slash', label: 'Day/Month/Year (01/05/2024 14:30)' },
+            { id: 'mdy-slash', label: 'Month/Day/Year (05/01/2024 14:30)' }
+        ];
+    }
+
+    // CSV with header row; delimiter is detected from the header
+    static parseCsv(content) {
+        const text = content.replace(/^\uFEFF/, '');
+        const delimiter = MeasurementParser.detectDelimiter(text.split(/\r?\n/, 1)[0]);
+        const records = MeasurementParser.splitCsvRecords(text, delimiter)
+            .filter(fields => fields.some(field => field.trim() !== ''));
+        if (records.length < 2) {
+            throw new Error('CSV file must contain a header row and at least one data row');
+        }
+
+        const headers = records[0].map(header => header.trim());
+        return { headers, rows: records.slice(1) };
+    }
+
+    static detectDelimiter(line) {
+        const candidates = [',', ';', '\t'];
+        return candidates.reduce((best, delimiter) =>
+            line.split(delimiter).length > line.split(best).length ? delimiter : best
+        );
+    }
+
+    // Quoted fields may contain delimiters, doubled quotes and line breaks
+    static splitCsvRecords(text, delimiter) {
+        const records = [];
+        let fields = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                fields.push(current);
+                current = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                fields.push(current);
+                records.push(fields);
+                fields = [];
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        if (current !== '' || fields.length > 0) {
+            fields.push(current);
+            records.push(fields);
+        }
+        return records;
+    }
+
+    // GPX track, route and waypoints are flattened into the same table shape as a CSV
+    static parseGpx(content) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid GPX file');
+        }
+
+        const points = [...doc.querySelectorAll('trkpt, rtept, wpt')];
+        if (points.length === 0) {
+            throw new Error('GPX file contains no track points');
+        }
+
+        // Child text ignoring namespaces, e.g. <time> or <greenbot:state>
+        const childText = (element, name) => {
+            const child = element.getElementsByTagNameNS('*', name)[0];
+            return child ? child.textContent.trim() : '';
+        };
+
+        return {
+            headers: ['time', 'latitude', 'longitude', 'state', 'battery'],
+            rows: points.map(point => [
+                childText(point, 'time'),
+                point.getAttribute('lat'),
+                point.getAttribute('lon'),
+                childText(point, 'state'),
+                childText(point, 'battery')
+            ])
+        };
+    }
+
+    static guessMapping(headers) {
+        const find = (pattern) => {
+            const index = headers.findIndex(header => pattern.test(header));
+            return index >= 0 ? String(index) : '';
+        };
+
+        return {
+            timestamp: find(/time|date|^ts$/i),
+            battery: find(/batt|percent|soc|level/i),
+            latitude: find(/^lat/i),
+            longitude: find(/^(lon|lng)/i),
+            state: find(/state|status/i)
+        };
+    }
+
+    static detectTimestampFormat(values) {
+        const samples = values.filter(value => value && value.trim() !== '').slice(0, 50);
+        if (samples.length === 0) return null;
+
+        const parts = samples.map(value => value.trim().match(/^(\d{1,2})\/(\d{1,2})\/\d{4}/)).filter(Boolean);
+        const slashFormats = parts.some(match => parseInt(match[2]) > 12) ? ['mdy-slash', 'dmy-slash'] : ['dmy-slash', 'mdy-slash'];
+        const candidates = ['iso', 'unix', 'unix-ms', 'dmy-dot', ...slashFormats];
+
+        // Tolerate a few broken rows, they are skipped during import
+        let best = null;
+        let bestCount = 0;
+        candidates.forEach(format => {
+            const count = samples.filter(value => MeasurementParser.parseTimestamp(value, format) !== null).length;
+            if (count > bestCount) {
+                best = format;
+                bestCount = count;
+            }
+        });
+
+        return bestCount >= samples.length * 0.8 ? best : null;
+    }
+
+    static parseTimestamp(value, format) {
+        if (!value) return null;
+        const text = value.trim();
+        let date = null;
+
+        switch (format) {
+            case 'iso':
+                if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text)) {
+                    date = new Date(text.replace(' ', 'T'));
+                }
+                break;
+            case 'unix':
+                if (/^\d{9,10}(\.\d+)?$/.test(text)) {
+                    date = new Date(parseFloat(text) * 1000);
+                }
+                break;
+            case 'unix-ms':
+                if (/^\d{12,13}$/.test(text)) {
+                    date = new Date(parseInt(text));
+                }
+                break;
+            case 'dmy-dot':
+            case 'dmy-slash':
+            case 'mdy-slash': {
+                const separator = format === 'dmy-dot' ? '\\.' : '/';
+                const match = text.match(new RegExp(`^(\\d{1,2})${separator}(\\d{1,2})${separator}(\\d{4})(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?$`));
+                if (match) {
+                    const [first, second, year, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part) || 0);
+                    const [day, month] = format === 'mdy-slash' ? [second, first] : [first, second];
+                    if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+                        date = new Date(year, month - 1, day, hours, minutes, seconds);
+                    }
+                }
+                break;
+            }
+        }
+
+        return date && !isNaN(date) ? date : null;
+    }
+
+    static parseNumber(value) {
+        if (value === undefined || value === null || value.trim() === '') return null;
+
+        // Accept decimal commas from European spreadsheets; a single comma after the last dot is the decimal
+        // separator, otherwise commas group thousands (1.234,5 and 1,234.5 are both 1234.5)
+        const text = value.trim().replace('%', '');
+        const decimalComma = (text.match(/,/g) || []).length === 1 && text.lastIndexOf(',') > text.lastIndexOf('.');
+        const normalized = decimalComma ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+        const number = parseFloat(normalized);
+        return isNaN(number) ? null : number;
+    }
+
+    // Builds the import payloads from the mapped columns; rows without a valid timestamp are skipped
+    static buildMeasurements(table, mapping, timestampFormat, parseState) {
+        const result = { battery: [], gps: [], states: [], rows: [], skipped: 0 };
+        const column = (row, key) => mapping[key] !== '' ? row[parseInt(mapping[key])] : undefined;
+
+        table.rows.forEach(row => {
+            const timestamp = MeasurementParser.parseTimestamp(column(row, 'timestamp'), timestampFormat);
+            if (!timestamp) {
+                result.skipped++;
+                return;
+            }
+
+            const parsed = { timestamp, battery: null, latitude: null, longitude: null, state: null };
+
+            const battery = mapping.battery !== '' ? MeasurementParser.parseNumber(column(row, 'battery')) : null;
+            if (battery !== null && battery >= 0 && battery <= 100) {
+                parsed.battery = battery;
+                result.battery.push({ timestamp: timestamp.toISOString(), batteryLevel: battery });
+            }
+
+            const latitude = mapping.latitude !== '' ? MeasurementParser.parseNumber(column(row, 'latitude')) : null;
+            const longitude = mapping.longitude !== '' ? MeasurementParser.parseNumber(column(row, 'longitude')) : null;
+            if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+                parsed.latitude = latitude;
+                parsed.longitude = longitude;
+                result.gps.push({ timestamp: timestamp.toISOString(), latitude, longitude });
+            }
+
+            const stateValue = column(row, 'state');
+            if (stateValue !== undefined && stateValue.trim() !== '') {
+                const state = parseState(stateValue.trim());
+                if (state >= 0 && state <= 5) {
+                    parsed.state = state;
+                    result.states.push({ timestamp: timestamp.toISOString(), state });
+                }
+            }
+
+            if (parsed.battery === null && parsed.latitude === null && parsed.state === null) {
+                result.skipped++;
+                return;
+            }
+
+            result.rows.push(parsed);
+        });
+
+        return result;
+    }
+}
+
+// Export for use in ImportExportManager
+window.MeasurementParser = MeasurementParser;
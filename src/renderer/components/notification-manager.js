@@ -0,0 +1,83 @@
+/**
+ * Notification Manager Component
+ * Handles native OS notifications for mower events, filtered by the severities the user opted in to
+ */
+
+class NotificationManager {
+    constructor(app) {
+        this.app = app;
+        this.preferences = {}; // Notifications setting: severity key -> enabled
+    }
+
+    async initialize() {
+        await this.loadPreferences();
+
+        window.electronAPI.onNotificationClicked((data) => this.handleClick(data));
+    }
+
+    static getSeverityKey(severity) {
+        return severity.charAt(0).toUpperCase() + severity.slice(1);
+    }
+
+    async loadPreferences() {
+        try {
+            const result = await window.electronAPI.loadConfig();
+            // Only error-severity events raise notifications until the user opts in to more (schema default)
+            if (result.config) {
+                this.preferences = { ...result.config.Notifications };
+            }
+        } catch (error) {
+            console.error('Failed to load notification preferences:', error);
+        }
+    }
+
+    getPreferences() {
+        return { ...this.preferences };
+    }
+
+    setPreferences(preferences) {
+        this.preferences = { ...this.preferences, ...preferences };
+    }
+
+    isEnabled(severity) {
+        return this.preferences[NotificationManager.getSeverityKey(severity)] === true;
+    }
+
+    async notify(severity, text, deviceId) {
+        if (!this.isEnabled(severity)) return;
+
+        const device = this.app.lawnmowers.find(m => m.id == deviceId);
+        const name = device ? device.name : `Lawnmower ${deviceId}`;
+
+        try {
+            const result = await window.electronAPI.showNotification({
+                title: `${name} - ${NotificationManager.getSeverityKey(severity)}`,
+                body: text,
+                urgency: severity === 'error' ? 'critical' : 'normal',
+                deviceId
+            });
+
+            if (!result.success) {
+                console.warn('Notification not shown:', result.error);
+            }
+        } catch (error) {
+            console.error('Failed to show notification:', error);
+        }
+    }
+
+    // The main process has already focused the window, bring up the affected mower
+    async handleClick(data) {
+        if (!data || data.deviceId === undefined || data.deviceId === null) return;
+
+        const current = this.app.currentDevice;
+        if (!current || current.id != data.deviceId) {
+            if (!this.app.lawnmowers.some(m => m.id == data.deviceId)) return;
+            await this.app.openDevice(data.deviceId);
+        }
+
+        this.app.switchTab('messages');
+    }
+}
+
+// Export for use in main.js
+window.NotificationManager = NotificationManager;
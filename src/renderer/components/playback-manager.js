@@ -0,0 +1,243 @@
+/**
+ * Playback Manager Component
+ * Handles replaying historic GPS tracks with a timeline scrubber
+ */
+
+class PlaybackManager {
+    constructor(app) {
+        this.app = app;
+        this.currentDevice = null;
+        this.track = [];
+        this.states = [];
+        this.batteryLevels = [];
+        this.startTime = null;
+        this.endTime = null;
+        this.currentTime = null;
+        this.speed = 10;
+        this.isPlaying = false;
+        this.playbackInterval = null;
+        this.tickInterval = 100; // ms between playback frames
+        this.playedLayer = null;
+        this.loadToken = 0;
+    }
+
+    initialize() {
+        document.getElementById('playbackToggleBtn').addEventListener('click', () => this.togglePlayback());
+
+        document.getElementById('playbackScrubber').addEventListener('input', (e) => {
+            const fraction = parseInt(e.target.value) / 1000;
+            this.seek(new Date(this.startTime.getTime() + (this.endTime - this.startTime) * fraction));
+        });
+
+        document.getElementById('playbackSpeed').addEventListener('change', (e) => {
+            this.speed = parseInt(e.target.value);
+        });
+    }
+
+    setDevice(device) {
+        this.currentDevice = device;
+        this.reset();
+    }
+
+    // Called by MapManager once the history path has been loaded; the signal and progress
+    // callback of that load also cover the state and battery history fetched here
+    async setTrack(points, options = {}) {
+        const { signal, onProgress } = options;
+
+        this.reset();
+
+        if (!this.currentDevice || this.app.cockpitManager.isInLiveMode() || points.length < 2) {
+            return;
+        }
+
+        this.track = points;
+        this.startTime = points[0].timestamp;
+        this.endTime = points[points.length - 1].timestamp;
+
+        const loadToken = ++this.loadToken;
+        const timeRange = this.app.mapManager.getTimeRange();
+
+        // Both series are sliced alike, so together they take twice the slices of either
+        const loaded = { state: 0, battery: 0 };
+        const progressFor = (type) => (progress) => {
+            loaded[type] = progress.loaded;
+            if (onProgress) onProgress({ loaded: loaded.state + loaded.battery, total: progress.total * 2 });
+        };
+
+        const [stateHistory, batteryHistory] = await Promise.allSettled([
+            window.lawnmowerAPI.getStateHistory(this.currentDevice.id, timeRange.from, timeRange.to,
+                { signal, onProgress: progressFor('state') }),
+            window.lawnmowerAPI.getBatteryHistory(this.currentDevice.id, timeRange.from, timeRange.to,
+                { signal, onProgress: progressFor('battery') })
+        ]);
+
+        // A newer track was loaded, or the map load was cancelled, while waiting for the history
+        if (loadToken !== this.loadToken) return;
+        if (signal && signal.aborted) throw window.lawnmowerAPI.constructor.createAbortError();
+
+        this.states = stateHistory.status === 'fulfilled'
+            ? stateHistory.value.map(item => ({ state: item.state, timestamp: new Date(item.timestamp) }))
+                .sort((a, b) => a.timestamp - b.timestamp)
+            : [];
+        this.batteryLevels = batteryHistory.status === 'fulfilled'
+            ? batteryHistory.value.map(item => ({ level: item.batteryLevel, timestamp: new Date(item.timestamp) }))
+                .sort((a, b) => a.timestamp - b.timestamp)
+            : [];
+
+        this.playedLayer = L.polyline([], {
+            color: '#39FF14',
+            weight: 4,
+            opacity: 0.9
+        }).addTo(this.app.mapManager.map);
+
+        document.getElementById('playbackPanel').classList.remove('hidden');
+        this.seek(this.startTime);
+    }
+
+    togglePlayback() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    play() {
+        if (!this.isActive()) return;
+
+        // Restart from the beginning once the end has been reached
+        if (this.currentTime >= this.endTime) {
+            this.seek(this.startTime);
+        }
+
+        this.isPlaying = true;
+        this.updateToggleButton();
+
+        this.playbackInterval = setInterval(() => {
+            const next = new Date(this.currentTime.getTime() + this.tickInterval * this.speed);
+            this.seek(next);
+
+            if (next >= this.endTime) {
+                this.pause();
+            }
+        }, this.tickInterval);
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.updateToggleButton();
+
+        if (this.playbackInterval) {
+            clearInterval(this.playbackInterval);
+            this.playbackInterval = null;
+        }
+    }
+
+    seek(time) {
+        if (!this.isActive()) return;
+
+        const clamped = new Date(Math.min(Math.max(time.getTime(), this.startTime.getTime()), this.endTime.getTime()));
+        this.currentTime = clamped;
+
+        const position = this.getPositionAt(clamped);
+        const mapManager = this.app.mapManager;
+        if (mapManager.deviceMarker) {
+            mapManager.deviceMarker.setLatLng([position.lat, position.lng]);
+        }
+
+        const played = this.track.filter(point => point.timestamp <= clamped).map(point => [point.lat, point.lng]);
+        played.push([position.lat, position.lng]);
+        this.playedLayer.setLatLngs(played);
+
+        this.updatePanel();
+
+        // Keep the battery chart and state timeline in sync
+        this.app.chartManager.setPlaybackTime(clamped);
+        this.app.statusManager.setPlaybackTime(clamped);
+    }
+
+    getPositionAt(time) {
+        const nextIndex = this.track.findIndex(point => point.timestamp > time);
+        if (nextIndex === -1) return this.track[this.track.length - 1];
+        if (nextIndex === 0) return this.track[0];
+
+        // Interpolate between the surrounding GPS fixes
+        const previous = this.track[nextIndex - 1];
+        const next = this.track[nextIndex];
+        const fraction = (time - previous.timestamp) / (next.timestamp - previous.timestamp);
+
+        return {
+            lat: previous.lat + (next.lat - previous.lat) * fraction,
+            lng: previous.lng + (next.lng - previous.lng) * fraction
+        };
+    }
+
+    getValueAt(items, time) {
+        let current = null;
+        for (const item of items) {
+            if (item.timestamp > time) break;
+            current = item;
+        }
+        return current;
+    }
+
+    updatePanel() {
+        const api = window.lawnmowerAPI.constructor;
+        const state = this.getValueAt(this.states, this.currentTime);
+        const battery = this.getValueAt(this.batteryLevels, this.currentTime);
+        const fraction = (this.currentTime - this.startTime) / Math.max(1, this.endTime - this.startTime);
+
+        document.getElementById('playbackScrubber').value = Math.round(fraction * 1000);
+        document.getElementById('playbackTime').textContent = this.currentTime.toLocaleString();
+
+        const stateElement = document.getElementById('playbackState');
+        stateElement.textContent = state ? api.getStateName(state.state) : 'Unknown';
+        stateElement.className = `font-medium ${state ? api.getStateClass(state.state) : ''}`;
+
+        document.getElementById('playbackBattery').textContent = battery ? `${Math.round(battery.level)}%` : '--';
+    }
+
+    updateToggleButton() {
+        document.getElementById('playbackToggleBtn').textContent = this.isPlaying ? 'Pause' : 'Play';
+    }
+
+    reset() {
+        this.pause();
+        this.loadToken++;
+
+        // Put the device marker back on the latest position
+        const mapManager = this.app.mapManager;
+        if (this.track.length > 0 && mapManager.deviceMarker) {
+            const latest = this.track[this.track.length - 1];
+            mapManager.deviceMarker.setLatLng([latest.lat, latest.lng]);
+        }
+
+        if (this.playedLayer) {
+            this.playedLayer.remove();
+            this.playedLayer = null;
+        }
+
+        this.track = [];
+        this.states = [];
+        this.batteryLevels = [];
+        this.startTime = null;
+        this.endTime = null;
+        this.currentTime = null;
+
+        document.getElementById('playbackPanel').classList.add('hidden');
+        this.app.chartManager.setPlaybackTime(null);
+        this.app.statusManager.setPlaybackTime(null);
+    }
+
+    // Public interface
+    isActive() {
+        return this.playedLayer !== null && this.track.length > 1;
+    }
+
+    getCurrentTime() {
+        return this.currentTime;
+    }
+}
+
+// Export for use in main.js
+window.PlaybackManager = PlaybackManager;
@@ -0,0 +1,125 @@
+/**
+ * Profile Manager Component
+ * Handles named backend connection profiles and switching between them
+ */
+
+class ProfileManager {
+    constructor(app) {
+        this.app = app;
+        this.profiles = [];
+        this.activeProfile = null;
+        this.isSwitching = false;
+    }
+
+    async initialize() {
+        await this.loadProfiles();
+
+        if (this.activeProfile) {
+            window.lawnmowerAPI.configure(this.activeProfile);
+        }
+
+        this.updateProfileSelector();
+        this.setupProfileSelector();
+    }
+
+    async loadProfiles() {
+        try {
+            const result = await window.electronAPI.loadProfiles();
+            if (result.success && Array.isArray(result.profiles.Profiles)) {
+                this.profiles = result.profiles.Profiles.filter(profile => profile.Name && profile.BaseUrl);
+                this.activeProfile = this.profiles.find(profile => profile.Name === result.profiles.ActiveProfile)
+                    || this.profiles[0]
+                    || null;
+            }
+        } catch (error) {
+            console.error('Failed to load connection profiles:', error);
+        }
+    }
+
+    async saveActiveProfile() {
+        try {
+            const result = await window.electronAPI.saveProfiles({
+                ActiveProfile: this.activeProfile.Name,
+                Profiles: this.profiles
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Failed to save connection profiles:', error);
+            this.app.showToast('Profile switched, but could not be saved', 'warning');
+        }
+    }
+
+    updateProfileSelector() {
+        const selector = document.getElementById('profileSelector');
+        selector.innerHTML = '';
+
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.Name;
+            option.textContent = profile.Name;
+            option.title = profile.BaseUrl;
+            selector.appendChild(option);
+        });
+
+        if (this.activeProfile) {
+            selector.value = this.activeProfile.Name;
+        }
+        selector.disabled = this.profiles.length < 2;
+    }
+
+    setupProfileSelector() {
+        const selector = document.getElementById('profileSelector');
+        selector.addEventListener('change', (e) => {
+            this.switchProfile(e.target.value);
+        });
+    }
+
+    async switchProfile(name) {
+        const profile = this.profiles.find(p => p.Name === name);
+        if (!profile || profile === this.activeProfile || this.isSwitching) return;
+
+        const selector = document.getElementById('profileSelector');
+        selector.disabled = true;
+        this.isSwitching = true;
+
+        const previousProfile = this.activeProfile;
+        try {
+            this.activeProfile = profile;
+            await this.app.applyConnectionProfile(profile);
+            await this.saveActiveProfile();
+            this.app.showToast(`Connected to profile "${profile.Name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to switch connection profile:', error);
+            this.app.showToast(`Failed to connect to profile "${profile.Name}"`, 'error');
+
+            // Reconnect to the previous backend so the selector and the loaded data match again
+            this.activeProfile = previousProfile;
+            if (previousProfile) {
+                try {
+                    await this.app.applyConnectionProfile(previousProfile);
+                } catch (restoreError) {
+                    console.error('Failed to restore connection profile:', restoreError);
+                    this.app.showToast(`Failed to reconnect to profile "${previousProfile.Name}"`, 'error');
+                }
+            }
+        } finally {
+            this.isSwitching = false;
+            this.updateProfileSelector();
+        }
+    }
+
+    // Public interface
+    getActiveProfile() {
+        return this.activeProfile;
+    }
+
+    // Key of the data kept per profile (zones, schedules, ping history, event log)
+    getActiveProfileName() {
+        return this.activeProfile ? this.activeProfile.Name : null;
+    }
+}
+
+// Export for use in main.js
+window.ProfileManager = ProfileManager;
@@ -11,6 +11,98 @@ class RemoteControlManager {
         this.currentState = null;
         this.lastPingTime = null;
         this.connectionStatus = 'unknown';
+        this.batchDialog = null;
+        this.batchFleet = new Map(); // String(lawnmowerId) -> fleet entry shown in the batch dialog
+        this.batchRunning = false;
+        this.verifications = []; // Commands waiting for their expected state: [{ deviceId, command, finish }]
+        this.verificationTimeout = 30; // seconds
+        this.interlocks = []; // Checks before START from StartInterlocks, see config-schema.js
+        this.triggeredInterlocks = []; // Interlocks currently preventing START in the dialog
+    }
+
+    async initialize() {
+        try {
+            const result = await window.electronAPI.loadConfig();
+            if (result.config) {
+                if (result.config.CommandVerificationTimeout) {
+                    this.verificationTimeout = result.config.CommandVerificationTimeout;
+                }
+                if (Array.isArray(result.config.StartInterlocks)) {
+                    this.interlocks = result.config.StartInterlocks;
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load remote control settings:', error);
+        }
+    }
+
+    // Resolves to the triggered interlocks: [{ id, name, mode, reason }]
+    async evaluateStartInterlocks(deviceId) {
+        const entry = this.app.fleetManager.getFleet().find(e => e.device.id == deviceId);
+        const triggered = [];
+        const trigger = (interlock, reason) => triggered.push({ id: interlock.Id, name: interlock.Name, mode: interlock.Mode, reason });
+
+        for (const interlock of this.interlocks.filter(i => i.Enabled !== false)) {
+            switch (interlock.Id) {
+                case 'battery-minimum':
+                    if (entry && entry.batteryLevel !== null && entry.batteryLevel < interlock.Value) {
+                        trigger(interlock, `Battery at ${Math.round(entry.batteryLevel)}% is below the minimum of ${interlock.Value}%`);
+                    }
+                    break;
+
+                case 'stale-data': {
+                    const age = entry && entry.lastSeen ? Math.round((Date.now() - entry.lastSeen) / 1000) : null;
+                    if (age === null) {
+                        trigger(interlock, 'No data received from the mower yet');
+                    } else if (age > interlock.Value) {
+                        trigger(interlock, `No data received for ${age}s`);
+                    }
+                    break;
+                }
+
+                case 'outside-zone':
+                    if (entry && entry.latitude !== null &&
+                        this.app.zoneManager.isInsideZones(deviceId, entry.latitude, entry.longitude) === false) {
+                        trigger(interlock, 'Mower is outside its mowing zone');
+                    }
+                    break;
+
+                case 'unacknowledged-error':
+                    try {
+                        const { total } = await this.app.eventLogManager.query(deviceId, { severities: ['error'], statuses: ['open'] }, 0, 0);
+                        if (total > 0) {
+                            trigger(interlock, `${total} unacknowledged error${total === 1 ? '' : 's'} in the message log`);
+                        }
+                    } catch (error) {
+                        console.error('Failed to check unacknowledged errors:', error);
+                    }
+                    break;
+            }
+        }
+
+        return triggered;
+    }
+
+    // Scheduled and batch starts have no operator to confirm, so every triggered interlock skips the mower
+    async getUnattendedStartBlock(deviceId) {
+        const triggered = await this.evaluateStartInterlocks(deviceId);
+        return triggered.length > 0 ? `Interlock: ${triggered.map(t => t.reason).join('; ')}` : null;
+    }
+
+    // Remote control actions, the states in which the backend accepts them
+    // and the states that confirm the mower obeyed
+    static getCommands() {
+        return [
+            { id: 0, name: 'Start', buttonId: 'startBtn', allowedStates: [0, 1, 4], expectedStates: [2] },
+            { id: 1, name: 'Stop', buttonId: 'stopBtn', allowedStates: [2, 3], expectedStates: [4] },
+            { id: 2, name: 'Home', buttonId: 'homeBtn', allowedStates: [2], expectedStates: [3, 0, 1] },
+            { id: 3, name: 'Ack Error', buttonId: 'ackErrorBtn', allowedStates: [5], expectedStates: [0, 1, 2, 3, 4] }
+        ];
+    }
+
+    static isCommandAllowed(actionId, stateId) {
+        const command = RemoteControlManager.getCommands().find(c => c.id === actionId);
+        return !!command && command.allowedStates.includes(stateId);
     }
 
     setDevice(device) {
@@ -19,11 +111,106 @@ class RemoteControlManager {
         this.connectionStatus = 'unknown';
     }
 
+    handleStateUpdate(data) {
+        this.checkVerifications(data.LawnmowerId, data.State);
+
+        if (this.currentDevice && this.currentDevice.id == data.LawnmowerId) {
+            this.updateDeviceState(data.State);
+        }
+    }
+
+    // Sends a command, waits for the mower to report the expected state and records it in the audit trail.
+    // Resolves to { result: 'confirmed' | 'timed out' | 'rejected', state, error }
+    async executeCommand(deviceId, actionId, { source = 'manual', stateBefore = null, onSent = null } = {}) {
+        const command = RemoteControlManager.getCommands().find(c => c.id === actionId);
+        const fleetEntry = () => this.app.fleetManager.getFleet().find(entry => entry.device.id == deviceId);
+
+        // Start watching before sending so a fast state update is not missed
+        let resolveVerification;
+        const verification = new Promise(resolve => {
+            resolveVerification = resolve;
+        });
+        const pending = { deviceId: String(deviceId), command, lastState: null, finish: null };
+
+        const timeout = setTimeout(() => pending.finish('timed out', null), this.verificationTimeout * 1000);
+
+        // Without a hub connection state updates only arrive by asking for them
+        const poll = setInterval(async () => {
+            if (window.lawnmowerAPI.isConnected) return;
+            try {
+                const current = await window.lawnmowerAPI.getCurrentState(deviceId);
+                this.checkVerifications(deviceId, current.state);
+            } catch (error) {
+                console.error('Failed to poll state for command verification:', error);
+            }
+        }, 2000);
+
+        pending.finish = (result, state, error = '') => {
+            clearTimeout(timeout);
+            clearInterval(poll);
+            this.verifications = this.verifications.filter(v => v !== pending);
+            resolveVerification({ result, state, error });
+        };
+        this.verifications.push(pending);
+
+        if (stateBefore === null && fleetEntry()) {
+            stateBefore = fleetEntry().state;
+        }
+        if (pending.lastState === null) {
+            pending.lastState = stateBefore;
+        }
+
+        try {
+            await window.lawnmowerAPI.controlLawnmower(deviceId, actionId);
+            if (onSent) onSent(command);
+        } catch (error) {
+            pending.finish('rejected', null, error.message);
+        }
+
+        const outcome = await verification;
+
+        // On timeout the last state reported by the mower is the best we know
+        const stateAfter = outcome.state !== null ? outcome.state : (fleetEntry() ? fleetEntry().state : null);
+        await this.app.auditManager.record({
+            deviceId,
+            action: command.name,
+            source,
+            stateBefore,
+            stateAfter,
+            result: outcome.result,
+            error: outcome.error
+        });
+
+        return outcome;
+    }
+
+    checkVerifications(deviceId, stateId) {
+        this.verifications
+            .filter(pending => pending.deviceId === String(deviceId))
+            .forEach(pending => {
+                // Only entering Error rejects a command; a mower still reporting it (e.g. before an Ack Error
+                // was processed) has not reacted to the command yet
+                const enteredError = stateId === 5 && pending.lastState !== 5 && !pending.command.allowedStates.includes(5);
+                pending.lastState = stateId;
+
+                if (pending.command.expectedStates.includes(stateId)) {
+                    pending.finish('confirmed', stateId);
+                } else if (enteredError) {
+                    pending.finish('rejected', stateId, 'Mower reported an error');
+                }
+            });
+    }
+
+    static getExpectedStateNames(command) {
+        return command.expectedStates.map(state => window.lawnmowerAPI.constructor.getStateName(state)).join(' or ');
+    }
+
     updateDeviceState(stateId) {
         this.currentState = stateId;
         if (this.currentDialog) {
             this.updateButtonStates();
             this.updateStateDisplay();
+            this.refreshInterlocks();
         }
     }
 
@@ -63,6 +250,9 @@ class RemoteControlManager {
                         </div>
                     </div>
 
+                    <!-- START Interlocks -->
+                    <div id="interlockPanel" class="hidden space-y-1"></div>
+
                     <!-- All Control Buttons in One Line -->
                     <div class="flex justify-center space-x-6">
                         <!-- Start Button -->
@@ -107,6 +297,9 @@ class RemoteControlManager {
                     <div id="pingResult" class="text-center text-xs text-gray-500">
                         <span id="pingText">Click ping to test connection</span>
                     </div>
+
+                    <!-- Connectivity Diagnostics -->
+                    <div id="pingDiagnostics" class="text-center"></div>
                 </div>
 
                 <div class="px-6 py-4 border-t border-gray-200 flex justify-end">
@@ -122,9 +315,54 @@ class RemoteControlManager {
         
         this.setupRemoteControlEvents();
         this.updateButtonStates();
+        this.refreshInterlocks();
+        this.renderPingDiagnostics(this.currentDevice.id);
         this.performInitialPing();
     }
 
+    renderPingDiagnostics(deviceId) {
+        const container = document.getElementById('pingDiagnostics');
+        if (!this.currentDialog || !container || !this.currentDevice || this.currentDevice.id != deviceId) return;
+
+        const connectivity = this.app.connectivityManager;
+        const summary = connectivity.getDiagnosticsSummary(deviceId);
+
+        container.innerHTML = `
+            ${connectivity.generateSparkline(deviceId)}
+            <div class="flex justify-center space-x-4 mt-1 text-xs text-gray-600">
+                <span>Uptime 24h: <span class="font-semibold">${summary.uptime24h}</span></span>
+                <span>7d: <span class="font-semibold">${summary.uptime7d}</span></span>
+                <span>Median latency: <span class="font-semibold">${summary.medianLatency}</span></span>
+            </div>
+            ${summary.degraded ? '<div class="text-xs text-signal-red mt-1">Reachability degraded</div>' : ''}
+        `;
+    }
+
+    async refreshInterlocks() {
+        if (!this.currentDialog || !this.currentDevice) return;
+
+        const device = this.currentDevice;
+        const triggered = await this.evaluateStartInterlocks(device.id);
+        if (!this.currentDialog || this.currentDevice !== device) return;
+
+        this.triggeredInterlocks = triggered;
+        this.renderInterlocks();
+        this.updateButtonStates();
+    }
+
+    renderInterlocks() {
+        const panel = document.getElementById('interlockPanel');
+        if (!panel) return;
+
+        panel.classList.toggle('hidden', this.triggeredInterlocks.length === 0);
+        panel.innerHTML = this.triggeredInterlocks.map(interlock => `
+            <div class="p-2 rounded border-l-4 text-xs ${this.getFeedbackStyle(interlock.mode === 'block' ? 'error' : 'warning')}">
+                <span class="font-semibold">${interlock.mode === 'block' ? 'START blocked' : 'Confirmation required'}:</span>
+                ${interlock.reason}
+            </div>
+        `).join('');
+    }
+
     setupRemoteControlEvents() {
         const startBtn = document.getElementById('startBtn');
         const stopBtn = document.getElementById('stopBtn');
@@ -149,49 +387,25 @@ class RemoteControlManager {
     updateButtonStates() {
         if (!this.currentDialog || this.currentState === null) return;
 
-        const startBtn = document.getElementById('startBtn');
-        const stopBtn = document.getElementById('stopBtn');
-        const homeBtn = document.getElementById('homeBtn');
-        const ackErrorBtn = document.getElementById('ackErrorBtn');
+        // Enable buttons based on current state
+        RemoteControlManager.getCommands().forEach(command => {
+            const btn = document.getElementById(command.buttonId);
+            const allowed = command.allowedStates.includes(this.currentState);
 
-        // Reset all buttons
-        [startBtn, stopBtn, homeBtn, ackErrorBtn].forEach(btn => {
-            btn.disabled = true;
-            btn.classList.remove('control-button-enabled');
-            btn.classList.add('control-button-disabled');
+            btn.disabled = !allowed;
+            btn.classList.toggle('control-button-enabled', allowed);
+            btn.classList.toggle('control-button-disabled', !allowed);
         });
 
-        // Enable buttons based on current state
-        switch (this.currentState) {
-            case 0: // Station Charging
-            case 1: // Station Charging Completed
-            case 4: // Paused
-                startBtn.disabled = false;
-                startBtn.classList.add('control-button-enabled');
-                startBtn.classList.remove('control-button-disabled');
-                break;
-
-            case 2: // Mowing
-                stopBtn.disabled = false;
-                stopBtn.classList.add('control-button-enabled');
-                stopBtn.classList.remove('control-button-disabled');
-                
-                homeBtn.disabled = false;
-                homeBtn.classList.add('control-button-enabled');
-                homeBtn.classList.remove('control-button-disabled');
-                break;
-
-            case 3: // Returning to Station
-                stopBtn.disabled = false;
-                stopBtn.classList.add('control-button-enabled');
-                stopBtn.classList.remove('control-button-disabled');
-                break;
-
-            case 5: // Error
-                ackErrorBtn.disabled = false;
-                ackErrorBtn.classList.add('control-button-enabled');
-                ackErrorBtn.classList.remove('control-button-disabled');
-                break;
+        const blocking = this.triggeredInterlocks.filter(interlock => interlock.mode === 'block');
+        if (blocking.length > 0) {
+            const startBtn = document.getElementById('startBtn');
+            startBtn.disabled = true;
+            startBtn.classList.remove('control-button-enabled');
+            startBtn.classList.add('control-button-disabled');
+            startBtn.title = `Start blocked: ${blocking.map(interlock => interlock.reason).join('; ')}`;
+        } else {
+            document.getElementById('startBtn').title = 'Start mowing';
         }
     }
 
@@ -214,40 +428,77 @@ class RemoteControlManager {
     async sendCommand(actionId, actionName) {
         if (!this.currentDevice) return;
 
+        const device = this.currentDevice;
+
+        // Interlocks are evaluated again right before sending, the dialog may show older data
+        if (actionId === 0) {
+            const triggered = await this.evaluateStartInterlocks(device.id);
+            this.triggeredInterlocks = triggered;
+            this.renderInterlocks();
+            this.updateButtonStates();
+
+            const blocking = triggered.filter(interlock => interlock.mode === 'block');
+            if (blocking.length > 0) {
+                this.showCommandFeedback(`Start blocked: ${blocking.map(interlock => interlock.reason).join('; ')}`, 'error');
+                return;
+            }
+
+            if (triggered.length > 0) {
+                const confirmation = await window.electronAPI.showMessageBox({
+                    type: 'warning',
+                    buttons: ['Cancel', 'Start anyway'],
+                    defaultId: 0,
+                    cancelId: 0,
+                    title: 'Confirm start',
+                    message: `Start ${device.name} despite the following warnings?`,
+                    detail: triggered.map(interlock => `- ${interlock.reason}`).join('\n')
+                });
+                if (confirmation.response !== 1) return;
+            }
+        }
+
         this.showCommandFeedback(`Sending ${actionName} command...`, 'info');
 
-        try {
-            await window.lawnmowerAPI.controlLawnmower(this.currentDevice.id, actionId);
-            this.showCommandFeedback(`${actionName} command sent successfully`, 'success');
-            
-            // Wait a moment for the command to be processed, then refresh status
-            setTimeout(async () => {
-                try {
-                    const currentState = await window.lawnmowerAPI.getCurrentState(this.currentDevice.id);
-                    if (currentState && currentState.state !== undefined) {
-                        this.currentState = currentState.state;
-                        this.updateButtonStates();
-                        this.updateStateDisplay();
-                    }
-                } catch (error) {
-                    console.error('Failed to refresh state after command:', error);
+        const { result, state, error } = await this.executeCommand(device.id, actionId, {
+            source: 'manual',
+            stateBefore: this.currentState,
+            onSent: (command) => {
+                if (this.currentDialog) {
+                    this.showCommandFeedback(`${actionName} command sent, waiting for ${RemoteControlManager.getExpectedStateNames(command)}...`, 'info');
                 }
-            }, 1000);
-            
-            setTimeout(() => this.hideCommandFeedback(), 3000);
+            }
+        });
 
-        } catch (error) {
-            console.error(`Failed to send ${actionName} command:`, error);
-            
-            let errorMessage = `Failed to send ${actionName} command`;
-            if (error.message.includes('400')) {
-                errorMessage = `${actionName} command not valid in current state`;
-            } else if (error.message.includes('404')) {
-                errorMessage = 'Device not found';
+        const api = window.lawnmowerAPI.constructor;
+        let message;
+        let type;
+
+        if (result === 'confirmed') {
+            message = `${actionName} confirmed - mower is ${api.getStateName(state)}`;
+            type = 'success';
+        } else if (result === 'timed out') {
+            message = `${actionName} timed out - no state change within ${this.verificationTimeout}s`;
+            type = 'warning';
+        } else {
+            let reason = error;
+            if (error.includes('400')) {
+                reason = 'not valid in current state';
+            } else if (error.includes('404')) {
+                reason = 'device not found';
             }
-            
-            this.showCommandFeedback(errorMessage, 'error');
-            setTimeout(() => this.hideCommandFeedback(), 5000);
+            message = `${actionName} rejected - ${reason}`;
+            type = 'error';
+        }
+
+        if (this.app.cockpitManager.currentDevice && this.app.cockpitManager.currentDevice.id === device.id) {
+            this.app.cockpitManager.addMessage(message, type === 'success' ? 'info' : type);
+        }
+
+        if (this.currentDialog && this.currentDevice === device) {
+            this.showCommandFeedback(message, type);
+            setTimeout(() => {
+                if (this.currentDialog) this.hideCommandFeedback();
+            }, 5000);
         }
     }
 
@@ -267,6 +518,7 @@ class RemoteControlManager {
         try {
             await window.lawnmowerAPI.pingLawnmower(this.currentDevice.id);
             const responseTime = Date.now() - startTime;
+            this.app.connectivityManager.recordPing(this.currentDevice.id, responseTime);
             
             this.connectionStatus = 'connected';
             this.lastPingTime = new Date();
@@ -282,6 +534,7 @@ class RemoteControlManager {
 
         } catch (error) {
             console.error('Ping failed:', error);
+            this.app.connectivityManager.recordPing(this.currentDevice.id, null);
             
             this.connectionStatus = 'disconnected';
             
@@ -331,6 +584,7 @@ class RemoteControlManager {
         switch (type) {
             case 'success': return 'bg-green-50 border-green-400 text-green-800';
             case 'error': return 'bg-red-50 border-red-400 text-red-800';
+            case 'warning': return 'bg-yellow-50 border-yellow-400 text-yellow-800';
             case 'info': return 'bg-blue-50 border-blue-400 text-blue-800';
             default: return 'bg-gray-50 border-gray-400 text-gray-800';
         }
@@ -343,6 +597,216 @@ class RemoteControlManager {
         }
     }
 
+    // Batch commands for several mowers at once
+    showBatchCommandDialog() {
+        if (this.batchDialog) return;
+
+        const api = window.lawnmowerAPI.constructor;
+        const fleet = this.app.fleetManager.getFleet().sort((a, b) => a.device.name.localeCompare(b.device.name));
+        if (fleet.length === 0) {
+            this.app.showToast('No lawnmowers available', 'warning');
+            return;
+        }
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-3xl w-full mx-4">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-semibold text-gray-900">Batch Command</h3>
+                    <p class="text-sm text-gray-600 mt-1">Mowers whose current state does not allow the command are skipped</p>
+                </div>
+
+                <div class="px-6 py-4 space-y-4">
+                    <div class="flex items-center justify-between">
+                        <div class="flex items-center space-x-2">
+                            <label class="text-sm font-medium text-gray-700">Command</label>
+                            <select id="batchCommand" class="px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot">
+                                ${RemoteControlManager.getCommands().map(command => `
+                                    <option value="${command.id}" ${command.id === 2 ? 'selected' : ''}>${command.name}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="flex space-x-2">
+                            <button type="button" id="batchSelectAllBtn" class="px-2 py-1 text-xs rounded border border-gray-300 hover:bg-gray-50">All</button>
+                            <button type="button" id="batchSelectAllowedBtn" class="px-2 py-1 text-xs rounded border border-gray-300 hover:bg-gray-50">Applicable</button>
+                            <button type="button" id="batchSelectNoneBtn" class="px-2 py-1 text-xs rounded border border-gray-300 hover:bg-gray-50">None</button>
+                        </div>
+                    </div>
+
+                    <div class="overflow-auto max-h-96">
+                        <table class="min-w-full">
+                            <thead class="bg-gray-50">
+                                <tr>
+                                    <th class="px-4 py-2"></th>
+                                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Mower</th>
+                                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                                </tr>
+                            </thead>
+                            <tbody class="bg-white divide-y divide-gray-200">
+                                ${fleet.map(entry => `
+                                    <tr>
+                                        <td class="px-4 py-2"><input type="checkbox" class="batch-mower" data-device-id="${entry.device.id}" checked></td>
+                                        <td class="px-4 py-2 text-sm font-medium text-gray-900">${api.escapeHtml(entry.device.name)}</td>
+                                        <td class="px-4 py-2 text-sm ${api.getStateClass(entry.state)}" data-batch-state="${entry.device.id}">
+                                            ${entry.state !== null ? api.getStateName(entry.state) : 'Unknown'}
+                                        </td>
+                                        <td class="px-4 py-2 text-xs text-gray-600" data-batch-result="${entry.device.id}"></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div id="batchSummary" class="hidden p-3 rounded border-l-4"></div>
+                </div>
+
+                <div class="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+                    <button type="button" id="closeBatchBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors">
+                        Close
+                    </button>
+                    <button type="button" id="sendBatchBtn" class="px-4 py-2 bg-signal-red text-white rounded hover:bg-fire-brick transition-colors">
+                        Send
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.batchDialog = overlay;
+        this.batchFleet = new Map(fleet.map(entry => [String(entry.device.id), entry]));
+
+        const setSelection = (predicate) => {
+            const actionId = parseInt(document.getElementById('batchCommand').value);
+            overlay.querySelectorAll('.batch-mower').forEach(checkbox => {
+                const entry = this.batchFleet.get(checkbox.dataset.deviceId);
+                checkbox.checked = predicate(actionId, entry);
+            });
+        };
+
+        document.getElementById('batchSelectAllBtn').addEventListener('click', () => setSelection(() => true));
+        document.getElementById('batchSelectNoneBtn').addEventListener('click', () => setSelection(() => false));
+        document.getElementById('batchSelectAllowedBtn').addEventListener('click', () =>
+            setSelection((actionId, entry) => !!entry && RemoteControlManager.isCommandAllowed(actionId, entry.state)));
+        document.getElementById('sendBatchBtn').addEventListener('click', () => this.sendBatchCommand());
+        document.getElementById('closeBatchBtn').addEventListener('click', () => this.closeBatchCommandDialog());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeBatchCommandDialog();
+        });
+    }
+
+    async sendBatchCommand() {
+        const actionId = parseInt(document.getElementById('batchCommand').value);
+        const command = RemoteControlManager.getCommands().find(c => c.id === actionId);
+        const deviceIds = [...this.batchDialog.querySelectorAll('.batch-mower:checked')].map(checkbox => checkbox.dataset.deviceId);
+
+        if (deviceIds.length === 0) {
+            this.app.showToast('Please select at least one mower', 'warning');
+            return;
+        }
+
+        this.batchRunning = true;
+        this.batchDialog.querySelectorAll('button, select, input').forEach(element => {
+            element.disabled = true;
+        });
+        document.getElementById('batchSummary').classList.add('hidden');
+
+        const results = await Promise.all(deviceIds.map(deviceId => this.sendBatchCommandTo(deviceId, command)));
+
+        this.batchRunning = false;
+        if (!this.batchDialog) return;
+
+        this.batchDialog.querySelectorAll('button, select, input').forEach(element => {
+            element.disabled = false;
+        });
+        this.showBatchSummary(command, deviceIds, results);
+    }
+
+    // Resolves to 'confirmed', 'timed out', 'rejected' or 'skipped', the progress is shown in the mower's row
+    async sendBatchCommandTo(deviceId, command) {
+        const api = window.lawnmowerAPI.constructor;
+        const setResult = (text, className) => {
+            const cell = this.batchDialog && this.batchDialog.querySelector(`[data-batch-result="${deviceId}"]`);
+            if (cell) {
+                cell.textContent = text;
+                cell.className = `px-4 py-2 text-xs ${className}`;
+            }
+        };
+
+        try {
+            setResult('Checking state...', 'text-gray-600');
+
+            // Validate against the latest state rather than the possibly stale fleet snapshot
+            const current = await window.lawnmowerAPI.getCurrentState(deviceId);
+            const stateCell = this.batchDialog && this.batchDialog.querySelector(`[data-batch-state="${deviceId}"]`);
+            if (stateCell) {
+                stateCell.textContent = api.getStateName(current.state);
+                stateCell.className = `px-4 py-2 text-sm ${api.getStateClass(current.state)}`;
+            }
+
+            if (!RemoteControlManager.isCommandAllowed(command.id, current.state)) {
+                setResult(`Skipped - not possible while ${api.getStateName(current.state)}`, 'text-yellow-700');
+                return 'skipped';
+            }
+
+            const interlockBlock = command.id === 0 ? await this.getUnattendedStartBlock(deviceId) : null;
+            if (interlockBlock) {
+                setResult(`Skipped - ${interlockBlock}`, 'text-yellow-700');
+                return 'skipped';
+            }
+
+            setResult('Sending...', 'text-blue-700');
+            const verification = await this.executeCommand(deviceId, command.id, {
+                source: 'batch',
+                stateBefore: current.state,
+                onSent: () => setResult(`Waiting for ${RemoteControlManager.getExpectedStateNames(command)}...`, 'text-blue-700')
+            });
+
+            if (verification.result === 'confirmed') {
+                setResult(`Confirmed - ${api.getStateName(verification.state)}`, 'text-green-700');
+            } else if (verification.result === 'timed out') {
+                setResult('Timed out - no state change', 'text-yellow-700');
+            } else {
+                setResult(`Rejected - ${verification.error}`, 'text-signal-red');
+            }
+            return verification.result;
+
+        } catch (error) {
+            console.error(`Batch ${command.name} failed for ${deviceId}:`, error);
+            setResult(`Failed - ${error.message}`, 'text-signal-red');
+            return 'rejected';
+        }
+    }
+
+    showBatchSummary(command, deviceIds, results) {
+        const count = (outcome) => results.filter(result => result === outcome).length;
+        const failedNames = deviceIds
+            .filter((deviceId, index) => results[index] === 'rejected' || results[index] === 'timed out')
+            .map(deviceId => {
+                const entry = this.batchFleet.get(deviceId);
+                return entry ? entry.device.name : deviceId;
+            });
+
+        const summary = document.getElementById('batchSummary');
+        const type = failedNames.length > 0 ? 'error' : count('skipped') > 0 ? 'info' : 'success';
+        summary.className = `p-3 rounded border-l-4 text-sm ${this.getFeedbackStyle(type)}`;
+        summary.textContent = `${command.name}: ${count('confirmed')} confirmed, ${count('timed out')} timed out, ` +
+            `${count('rejected')} rejected, ${count('skipped')} skipped` +
+            (failedNames.length > 0 ? ` - not obeyed: ${failedNames.join(', ')}` : '');
+
+        this.app.showToast(summary.textContent, failedNames.length > 0 ? 'error' : 'success', 5000);
+    }
+
+    closeBatchCommandDialog() {
+        if (this.batchRunning) return;
+
+        if (this.batchDialog) {
+            document.body.removeChild(this.batchDialog);
+            this.batchDialog = null;
+        }
+    }
+
     // Public interface
     showRemoteControlDialog() {
         this._showRemoteControlDialog();
@@ -0,0 +1,598 @@
+/**
+ * Schedule Manager Component
+ * Handles weekly mowing schedules per mower and sends the scheduled START and HOME commands
+ */
+
+class ScheduleManager {
+    constructor(app) {
+        this.app = app;
+        this.schedules = {}; // lawnmowerId -> { enabled, windows: [{ id, days, start, end }], exceptions: [{ date, windowId, type, start, end }] }
+        this.log = []; // Newest first: [{ key, lawnmowerId, command, scheduledFor, timestamp, outcome, detail }]
+        this.profile = null; // Connection profile the schedules belong to
+        this.maxLogEntries = 500;
+        this.gracePeriod = 5 * 60 * 1000; // Actions missed for longer (e.g. app closed) are not sent late
+        this.checkInterval = null;
+        this.isExecuting = false;
+        this.lastCheck = null; // Start of the previous check for due actions
+        this.saveQueue = Promise.resolve();
+        this.currentDialog = null;
+        this.deviceId = null; // Mower shown in the dialog
+        this.weekStart = null;
+        this.editingOccurrence = null; // Occurrence key showing the override inputs
+    }
+
+    async initialize() {
+        await this.loadSchedules();
+
+        this.checkInterval = setInterval(() => this.executeDueActions(), 30000);
+    }
+
+    // Also called after switching the connection profile
+    async loadSchedules() {
+        this.profile = this.app.profileManager.getActiveProfileName();
+        this.schedules = {};
+        this.log = [];
+
+        try {
+            const result = await window.electronAPI.loadSchedules(this.profile);
+            if (result.success) {
+                this.schedules = result.schedules.schedules || {};
+                this.log = result.schedules.log || [];
+            }
+        } catch (error) {
+            console.error('Failed to load mowing schedules:', error);
+        }
+    }
+
+    // Actions run concurrently save one after another, overlapping writes could mix up the file
+    async saveSchedules() {
+        const save = this.saveQueue.then(() => this.writeSchedules());
+        this.saveQueue = save;
+        await save;
+    }
+
+    async writeSchedules() {
+        try {
+            const result = await window.electronAPI.saveSchedules(this.profile, { schedules: this.schedules, log: this.log });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Failed to save mowing schedules:', error);
+            this.app.showToast('Failed to save mowing schedule', 'error');
+        }
+    }
+
+    getSchedule(deviceId) {
+        if (!this.schedules[deviceId]) {
+            this.schedules[deviceId] = { enabled: true, windows: [], exceptions: [] };
+        }
+        return this.schedules[deviceId];
+    }
+
+    static toDateKey(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static atTime(date, time) {
+        const [hours, minutes] = time.split(':').map(part => parseInt(part));
+        const result = new Date(date);
+        result.setHours(hours, minutes, 0, 0);
+        return result;
+    }
+
+    static startOfWeek(date) {
+        const result = new Date(date);
+        result.setHours(0, 0, 0, 0);
+        result.setDate(result.getDate() - ((result.getDay() + 6) % 7)); // Weeks start on Monday
+        return result;
+    }
+
+    // Planned runs starting on the given day, with skips, rain days and overrides applied
+    static getOccurrences(schedule, date) {
+        const dateKey = ScheduleManager.toDateKey(date);
+        const exceptions = schedule.exceptions.filter(e => e.date === dateKey);
+        const rainDay = exceptions.some(e => e.type === 'rain');
+
+        return schedule.windows
+            .filter(slot => slot.days.includes(date.getDay()))
+            .map(slot => {
+                const skip = exceptions.find(e => e.type === 'skip' && e.windowId === slot.id);
+                const override = exceptions.find(e => e.type === 'override' && e.windowId === slot.id);
+                const start = override ? override.start : slot.start;
+                const end = override ? override.end : slot.end;
+                const startAt = ScheduleManager.atTime(date, start);
+                const endAt = ScheduleManager.atTime(date, end);
+
+                // Windows ending before they start run past midnight
+                if (endAt <= startAt) {
+                    endAt.setDate(endAt.getDate() + 1);
+                }
+
+                return {
+                    key: `${dateKey}:${slot.id}`,
+                    dateKey,
+                    windowId: slot.id,
+                    start,
+                    end,
+                    startAt,
+                    endAt,
+                    rainDay,
+                    skipped: rainDay || !!skip,
+                    overridden: !!override
+                };
+            })
+            .sort((a, b) => a.startAt - b.startAt);
+    }
+
+    // Schedule execution
+    // Due actions of all mowers run at once like a batch command: each waits up to CommandVerificationTimeout
+    // for the state change, one after another they would push later mowers past the grace period
+    async executeDueActions() {
+        if (this.isExecuting) return;
+        this.isExecuting = true;
+
+        const profile = this.profile;
+        const now = new Date();
+        // Actions due since the previous check are only past the grace period if checks were held up, they
+        // are logged as missed; actions missed while the application was closed are not reported
+        const since = this.lastCheck;
+        this.lastCheck = now;
+
+        try {
+            const yesterday = new Date(now);
+            yesterday.setDate(now.getDate() - 1);
+            const tasks = [];
+
+            for (const [deviceId, schedule] of Object.entries(this.schedules)) {
+                if (!schedule.enabled || !this.app.lawnmowers.some(m => m.id == deviceId)) continue;
+
+                // Yesterday's windows may end after midnight
+                const occurrences = [yesterday, now].flatMap(day => ScheduleManager.getOccurrences(schedule, day));
+
+                for (const occurrence of occurrences) {
+                    const actions = [
+                        { edge: 'start', command: 'START', at: occurrence.startAt },
+                        { edge: 'end', command: 'HOME', at: occurrence.endAt }
+                    ];
+
+                    for (const action of actions) {
+                        const key = `${deviceId}:${occurrence.key}:${action.edge}`;
+                        const age = now - action.at;
+                        if (age < 0 || this.log.some(entry => entry.key === key)) continue;
+
+                        if (age > this.gracePeriod) {
+                            if (since && action.at > since && !occurrence.skipped) {
+                                const detail = `Missed, due ${Math.round(age / 60000)} minutes ago`;
+                                tasks.push(this.addLogEntry(deviceId, key, action.command, action.at, 'skipped', detail));
+                                this.reportOutcome(deviceId, action.command, 'skipped', detail);
+                            }
+                        } else if (occurrence.skipped) {
+                            tasks.push(this.addLogEntry(deviceId, key, action.command, action.at, 'skipped',
+                                occurrence.rainDay ? 'Rain day' : 'Skipped by user'));
+                        } else {
+                            tasks.push(this.executeAction(deviceId, key, action.command, action.at, profile));
+                        }
+                    }
+                }
+            }
+
+            await Promise.all(tasks);
+        } finally {
+            this.isExecuting = false;
+        }
+    }
+
+    async executeAction(deviceId, key, command, scheduledFor, profile) {
+        const actionId = command === 'START' ? 0 : 2;
+        const api = window.lawnmowerAPI.constructor;
+        let outcome;
+        let detail = '';
+
+        try {
+            // Same state rules as the remote control buttons
+            const current = await window.lawnmowerAPI.getCurrentState(deviceId);
+            const interlockBlock = command === 'START'
+                ? await this.app.remoteControlManager.getUnattendedStartBlock(deviceId)
+                : null;
+
+            if (!window.RemoteControlManager.isCommandAllowed(actionId, current.state)) {
+                outcome = 'skipped';
+                detail = `Not possible while ${api.getStateName(current.state)}`;
+            } else if (interlockBlock) {
+                outcome = 'skipped';
+                detail = interlockBlock;
+            } else {
+                const verification = await this.app.remoteControlManager.executeCommand(deviceId, actionId, {
+                    source: 'schedule',
+                    stateBefore: current.state
+                });
+                outcome = verification.result;
+                detail = verification.result === 'confirmed' ? api.getStateName(verification.state) : verification.error;
+            }
+        } catch (error) {
+            console.error(`Scheduled ${command} failed:`, error);
+            outcome = 'rejected';
+            detail = error.message;
+        }
+
+        // The profile was switched while the command ran, the log now belongs to the mowers of another backend
+        if (this.profile !== profile) return;
+
+        await this.addLogEntry(deviceId, key, command, scheduledFor, outcome, detail);
+        this.reportOutcome(deviceId, command, outcome, detail);
+    }
+
+    async addLogEntry(deviceId, key, command, scheduledFor, outcome, detail) {
+        this.log.unshift({
+            key,
+            lawnmowerId: deviceId,
+            command,
+            scheduledFor: scheduledFor.toISOString(),
+            timestamp: new Date().toISOString(),
+            outcome,
+            detail
+        });
+
+        if (this.log.length > this.maxLogEntries) {
+            this.log = this.log.slice(0, this.maxLogEntries);
+        }
+
+        await this.saveSchedules();
+
+        if (this.currentDialog && this.deviceId == deviceId) {
+            this.renderCalendar();
+            this.renderLog();
+        }
+    }
+
+    reportOutcome(deviceId, command, outcome, detail) {
+        const text = `Scheduled ${command} ${outcome}${detail ? `: ${detail}` : ''}`;
+        const type = { confirmed: 'info', 'timed out': 'warning', skipped: 'warning', rejected: 'error' }[outcome];
+        const cockpit = this.app.cockpitManager;
+
+        if (cockpit.currentDevice && cockpit.currentDevice.id == deviceId) {
+            cockpit.addMessage(text, type);
+        } else if (outcome !== 'confirmed') {
+            const device = this.app.lawnmowers.find(m => m.id == deviceId);
+            this.app.showToast(`${device ? device.name : deviceId}: ${text}`, type, 5000);
+        }
+    }
+
+    // Schedule dialog
+    showScheduleDialog() {
+        const device = this.app.currentDevice;
+        if (!device) {
+            this.app.showToast('Please select a device to schedule', 'warning');
+            return;
+        }
+        if (this.currentDialog) return;
+
+        this.deviceId = device.id;
+        this.weekStart = ScheduleManager.startOfWeek(new Date());
+        this.editingOccurrence = null;
+        const schedule = this.getSchedule(device.id);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-5xl w-full mx-4 max-h-screen overflow-y-auto">
+                <div class="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                    <div>
+                        <h3 class="text-lg font-semibold text-gray-900">Mowing Schedule - ${window.lawnmowerAPI.constructor.escapeHtml(device.name)}</h3>
+                        <p class="text-sm text-gray-600 mt-1">START is sent when a window opens and HOME when it closes, while the app is running</p>
+                    </div>
+                    <label class="flex items-center space-x-2 text-sm text-gray-700">
+                        <input type="checkbox" id="scheduleEnabled" ${schedule.enabled ? 'checked' : ''}>
+                        <span>Schedule active</span>
+                    </label>
+                </div>
+
+                <div class="px-6 py-4 space-y-6">
+                    <div>
+                        <div class="flex items-center justify-between mb-2">
+                            <button type="button" data-action="previous-week" class="px-2 py-1 text-xs rounded border border-gray-300 hover:bg-gray-50">Previous</button>
+                            <span id="scheduleWeekLabel" class="text-sm font-medium text-gray-700"></span>
+                            <button type="button" data-action="next-week" class="px-2 py-1 text-xs rounded border border-gray-300 hover:bg-gray-50">Next</button>
+                        </div>
+                        <div id="scheduleCalendar" class="grid grid-cols-7 gap-2"></div>
+                    </div>
+
+                    <div>
+                        <div class="flex items-center justify-between mb-2">
+                            <h4 class="text-sm font-semibold text-gray-700">Weekly Windows</h4>
+                            <button type="button" data-action="add-window" class="px-3 py-1 text-xs rounded bg-greenbot text-white hover:bg-forest transition-colors">Add Window</button>
+                        </div>
+                        <div id="scheduleWindows" class="space-y-2"></div>
+                    </div>
+
+                    <div>
+                        <h4 class="text-sm font-semibold text-gray-700 mb-2">Execution Log</h4>
+                        <div id="scheduleLog" class="overflow-auto max-h-48"></div>
+                    </div>
+                </div>
+
+                <div class="px-6 py-4 border-t border-gray-200 flex justify-end">
+                    <button type="button" id="closeScheduleBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors">
+                        Close
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.currentDialog = overlay;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.closeScheduleDialog();
+                return;
+            }
+
+            const button = e.target.closest('[data-action]');
+            if (button) this.handleDialogAction(button.dataset);
+        });
+        overlay.addEventListener('change', (e) => this.handleDialogChange(e.target));
+        document.getElementById('closeScheduleBtn').addEventListener('click', () => this.closeScheduleDialog());
+
+        this.renderCalendar();
+        this.renderWindows();
+        this.renderLog();
+    }
+
+    renderCalendar() {
+        const schedule = this.getSchedule(this.deviceId);
+        const now = new Date();
+        const todayKey = ScheduleManager.toDateKey(now);
+        const weekEnd = new Date(this.weekStart);
+        weekEnd.setDate(weekEnd.getDate() + 6);
+
+        document.getElementById('scheduleWeekLabel').textContent =
+            `${this.weekStart.toLocaleDateString()} - ${weekEnd.toLocaleDateString()}`;
+
+        const days = Array.from({ length: 7 }, (_, i) => {
+            const day = new Date(this.weekStart);
+            day.setDate(day.getDate() + i);
+            return day;
+        });
+
+        document.getElementById('scheduleCalendar').innerHTML = days.map(day => {
+            const dateKey = ScheduleManager.toDateKey(day);
+            const rainDay = schedule.exceptions.some(e => e.date === dateKey && e.type === 'rain');
+            const occurrences = ScheduleManager.getOccurrences(schedule, day);
+            const isPast = dateKey < todayKey;
+
+            return `
+                <div class="border rounded p-2 ${dateKey === todayKey ? 'border-greenbot' : 'border-gray-200'} ${rainDay ? 'bg-blue-50' : ''}">
+                    <div class="flex items-center justify-between mb-2">
+                        <span class="text-xs font-semibold text-gray-700">${day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'numeric' })}</span>
+                        ${isPast ? '' : `
+                            <button type="button" data-action="toggle-rain" data-date="${dateKey}"
+                                class="px-1 text-xs rounded ${rainDay ? 'bg-blue-600 text-white' : 'text-blue-700 hover:bg-blue-100'}"
+                                title="${rainDay ? 'Cancel rain day' : 'Skip all windows (rain day)'}">Rain</button>
+                        `}
+                    </div>
+                    ${occurrences.length === 0 ? '<div class="text-xs text-gray-400">No mowing</div>' : ''}
+                    ${occurrences.map(occurrence => this.generateOccurrenceHtml(occurrence, now)).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    generateOccurrenceHtml(occurrence, now) {
+        const startEntry = this.log.find(entry => entry.key === `${this.deviceId}:${occurrence.key}:start`);
+        const outcomeStyles = { confirmed: 'text-green-700', 'timed out': 'text-yellow-700', skipped: 'text-yellow-700', rejected: 'text-signal-red' };
+        const isOver = occurrence.endAt <= now;
+        const button = (action, label) => `
+            <button type="button" data-action="${action}" data-date="${occurrence.dateKey}" data-window-id="${occurrence.windowId}"
+                class="px-1 text-xs rounded border border-gray-300 hover:bg-gray-50">${label}</button>
+        `;
+
+        if (this.editingOccurrence === occurrence.key) {
+            return `
+                <div class="text-xs bg-gray-50 rounded p-1 mb-1 space-y-1">
+                    <input type="time" id="overrideStart" value="${occurrence.start}" class="w-full px-1 border border-gray-300 rounded">
+                    <input type="time" id="overrideEnd" value="${occurrence.end}" class="w-full px-1 border border-gray-300 rounded">
+                    <div class="flex space-x-1">
+                        ${button('save-override', 'Save')}
+                        ${button('cancel-override', 'Cancel')}
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="text-xs rounded p-1 mb-1 ${occurrence.skipped ? 'bg-gray-100 text-gray-400' : 'bg-green-50 text-gray-800'}">
+                <div class="${occurrence.skipped ? 'line-through' : ''}">
+                    ${occurrence.start} - ${occurrence.end}${occurrence.overridden ? ' *' : ''}
+                </div>
+                ${startEntry ? `<div class="${outcomeStyles[startEntry.outcome]}">START ${startEntry.outcome}</div>` : ''}
+                ${isOver || occurrence.rainDay ? '' : `
+                    <div class="flex flex-wrap gap-1 mt-1">
+                        ${button('toggle-skip', occurrence.skipped ? 'Unskip' : 'Skip')}
+                        ${button('edit-override', 'Override')}
+                        ${occurrence.overridden ? button('reset-override', 'Reset') : ''}
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    renderWindows() {
+        const schedule = this.getSchedule(this.deviceId);
+        const dayOrder = [1, 2, 3, 4, 5, 6, 0];
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const container = document.getElementById('scheduleWindows');
+
+        if (schedule.windows.length === 0) {
+            container.innerHTML = '<div class="text-sm text-gray-500">No mowing windows defined</div>';
+            return;
+        }
+
+        container.innerHTML = schedule.windows.map(slot => `
+            <div class="flex items-center space-x-4 p-2 border border-gray-200 rounded">
+                <div class="flex space-x-2">
+                    ${dayOrder.map(day => `
+                        <label class="flex items-center space-x-1 text-xs text-gray-700">
+                            <input type="checkbox" data-field="day" data-window-id="${slot.id}" data-day="${day}" ${slot.days.includes(day) ? 'checked' : ''}>
+                            <span>${dayNames[day]}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <input type="time" data-field="start" data-window-id="${slot.id}" value="${slot.start}" class="px-2 py-1 text-xs border border-gray-300 rounded">
+                <span class="text-xs text-gray-500">to</span>
+                <input type="time" data-field="end" data-window-id="${slot.id}" value="${slot.end}" class="px-2 py-1 text-xs border border-gray-300 rounded">
+                <button type="button" data-action="remove-window" data-window-id="${slot.id}"
+                    class="px-2 py-1 text-xs rounded text-signal-red hover:bg-red-50">Remove</button>
+            </div>
+        `).join('');
+    }
+
+    renderLog() {
+        const entries = this.log.filter(entry => entry.lawnmowerId == this.deviceId).slice(0, 50);
+        const container = document.getElementById('scheduleLog');
+        const outcomeStyles = { confirmed: 'text-green-700', 'timed out': 'text-yellow-700', skipped: 'text-yellow-700', rejected: 'text-signal-red' };
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="text-sm text-gray-500">No scheduled actions executed yet</div>';
+            return;
+        }
+
+        const escapeHtml = window.lawnmowerAPI.constructor.escapeHtml;
+        container.innerHTML = `
+            <table class="min-w-full">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-3 py-1 text-left text-xs font-medium text-gray-500 uppercase">Scheduled</th>
+                        <th class="px-3 py-1 text-left text-xs font-medium text-gray-500 uppercase">Command</th>
+                        <th class="px-3 py-1 text-left text-xs font-medium text-gray-500 uppercase">Outcome</th>
+                        <th class="px-3 py-1 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${entries.map(entry => `
+                        <tr>
+                            <td class="px-3 py-1 text-xs text-gray-700">${new Date(entry.scheduledFor).toLocaleString()}</td>
+                            <td class="px-3 py-1 text-xs text-gray-700">${entry.command}</td>
+                            <td class="px-3 py-1 text-xs font-medium ${outcomeStyles[entry.outcome]}">${entry.outcome}</td>
+                            <td class="px-3 py-1 text-xs text-gray-600">${escapeHtml(entry.detail)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async handleDialogAction(data) {
+        const schedule = this.getSchedule(this.deviceId);
+        const { action, date, windowId } = data;
+        const removeExceptions = (type) => {
+            schedule.exceptions = schedule.exceptions.filter(e =>
+                !(e.type === type && e.date === date && (type === 'rain' || e.windowId === windowId)));
+        };
+
+        switch (action) {
+            case 'previous-week':
+            case 'next-week':
+                this.weekStart.setDate(this.weekStart.getDate() + (action === 'next-week' ? 7 : -7));
+                this.renderCalendar();
+                return;
+            case 'add-window':
+                schedule.windows.push({ id: `window-${Date.now()}`, days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' });
+                this.renderWindows();
+                break;
+            case 'remove-window':
+                schedule.windows = schedule.windows.filter(slot => slot.id !== windowId);
+                schedule.exceptions = schedule.exceptions.filter(e => e.windowId !== windowId);
+                this.renderWindows();
+                break;
+            case 'toggle-rain':
+                if (schedule.exceptions.some(e => e.type === 'rain' && e.date === date)) {
+                    removeExceptions('rain');
+                } else {
+                    schedule.exceptions.push({ date, windowId: null, type: 'rain' });
+                }
+                break;
+            case 'toggle-skip':
+                if (schedule.exceptions.some(e => e.type === 'skip' && e.date === date && e.windowId === windowId)) {
+                    removeExceptions('skip');
+                } else {
+                    schedule.exceptions.push({ date, windowId, type: 'skip' });
+                }
+                break;
+            case 'edit-override':
+                this.editingOccurrence = `${date}:${windowId}`;
+                this.renderCalendar();
+                return;
+            case 'cancel-override':
+                this.editingOccurrence = null;
+                this.renderCalendar();
+                return;
+            case 'save-override': {
+                const start = document.getElementById('overrideStart').value;
+                const end = document.getElementById('overrideEnd').value;
+                if (!start || !end || start === end) {
+                    this.app.showToast('Please enter a valid start and end time', 'warning');
+                    return;
+                }
+                removeExceptions('override');
+                schedule.exceptions.push({ date, windowId, type: 'override', start, end });
+                this.editingOccurrence = null;
+                break;
+            }
+            case 'reset-override':
+                removeExceptions('override');
+                break;
+            default:
+                return;
+        }
+
+        this.pruneExceptions(schedule);
+        this.renderCalendar();
+        await this.saveSchedules();
+    }
+
+    async handleDialogChange(target) {
+        const schedule = this.getSchedule(this.deviceId);
+
+        if (target.id === 'scheduleEnabled') {
+            schedule.enabled = target.checked;
+        } else if (target.dataset.field) {
+            const slot = schedule.windows.find(w => w.id === target.dataset.windowId);
+            if (!slot) return;
+
+            if (target.dataset.field === 'day') {
+                const day = parseInt(target.dataset.day);
+                slot.days = target.checked ? [...slot.days, day] : slot.days.filter(d => d !== day);
+            } else if (target.value) {
+                slot[target.dataset.field] = target.value;
+            }
+        } else {
+            return;
+        }
+
+        this.renderCalendar();
+        await this.saveSchedules();
+    }
+
+    // Exceptions for past days are no longer needed
+    pruneExceptions(schedule) {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const cutoff = ScheduleManager.toDateKey(yesterday);
+
+        schedule.exceptions = schedule.exceptions.filter(e => e.date >= cutoff);
+    }
+
+    closeScheduleDialog() {
+        if (this.currentDialog) {
+            document.body.removeChild(this.currentDialog);
+            this.currentDialog = null;
+            this.deviceId = null;
+        }
+    }
+}
+
+// Export for use in main.js
+window.ScheduleManager = ScheduleManager;
@@ -10,6 +10,8 @@ class StatusManager {
         this.currentDevice = null;
         this.statusData = [];
         this.timeline = [];
+        this.playbackTime = null;
+        this.historyController = null; // cancels the history load of a superseded visualization
     }
 
     async initialize() {
@@ -59,13 +61,18 @@ class StatusManager {
             this.statusChart = null;
         }
 
+        // Only the most recent load may render, cancel any that is still running
+        if (this.historyController) this.historyController.abort();
+        const controller = new AbortController();
+        this.historyController = controller;
+
         try {
             // Show loading
             console.log('Status Manager - Showing loading...');
             this.showStatusLoading();
 
             // Get time range
-            const timeRange = this.getTimeRange(isLiveMode);
+            const timeRange = this.getTimeRange();
             console.log('Status Manager - Time range:', timeRange);
             
             // Load status history
@@ -73,7 +80,8 @@ class StatusManager {
             const history = await window.lawnmowerAPI.getStateHistory(
                 this.currentDevice.id,
                 timeRange.from,
-                timeRange.to
+                timeRange.to,
+                { signal: controller.signal }
             );
 
             console.log('Status Manager - Received history:', history.length, 'entries');
@@ -104,12 +112,19 @@ class StatusManager {
             console.log('Status Manager - Rendering complete');
 
         } catch (error) {
+            if (window.lawnmowerAPI.constructor.isAbortError(error)) {
+                console.log('Status Manager - Load superseded by a newer one');
+                return;
+            }
             console.error('Status Manager - Error occurred:', error);
             this.showStatusError('Failed to load status data');
         } finally {
-            // Make sure loading is hidden even if there's an error
-            console.log('Status Manager - Finally block - hiding loading...');
-            this.hideStatusLoading();
+            // Make sure loading is hidden even if there's an error, unless a newer load owns it
+            if (this.historyController === controller) {
+                this.historyController = null;
+                console.log('Status Manager - Finally block - hiding loading...');
+                this.hideStatusLoading();
+            }
         }
     }
 
@@ -281,7 +296,8 @@ class StatusManager {
             const duration = this.formatDuration(item.duration);
             
             return `
-                <div class="timeline-item flex items-center py-2 px-3 rounded hover:bg-gray-50 transition-colors">
+                <div class="timeline-item flex items-center py-2 px-3 rounded hover:bg-gray-50 transition-colors"
+                     data-start="${item.startTime.getTime()}" data-end="${item.endTime.getTime()}">
                     <div class="timeline-marker w-3 h-3 rounded-full mr-3 flex-shrink-0" 
                          style="background-color: ${this.statusColors[item.stateId]}"></div>
                     <div class="flex-1 min-w-0">
@@ -302,6 +318,39 @@ class StatusManager {
         }).join('');
 
         timelineContainer.innerHTML = timelineHtml;
+
+        // Clicking a timeline entry jumps the track playback to its start
+        timelineContainer.querySelectorAll('.timeline-item').forEach(element => {
+            element.addEventListener('click', () => {
+                if (this.app.playbackManager.isActive()) {
+                    this.app.playbackManager.seek(new Date(parseInt(element.dataset.start)));
+                }
+            });
+        });
+
+        this.highlightTimelineItem();
+    }
+
+    // Track playback cursor
+    setPlaybackTime(time) {
+        this.playbackTime = time;
+        this.highlightTimelineItem();
+    }
+
+    highlightTimelineItem() {
+        const timelineContainer = document.getElementById('statusTimeline');
+        if (!timelineContainer) return;
+
+        const time = this.playbackTime ? this.playbackTime.getTime() : null;
+        timelineContainer.querySelectorAll('.timeline-item').forEach(element => {
+            const isActive = time !== null &&
+                time >= parseInt(element.dataset.start) && time < parseInt(element.dataset.end);
+
+            if (isActive && !element.classList.contains('timeline-item-active')) {
+                element.scrollIntoView({ block: 'nearest' });
+            }
+            element.classList.toggle('timeline-item-active', isActive);
+        });
     }
 
     groupConsecutiveStates(timeline) {
@@ -343,35 +392,8 @@ class StatusManager {
         }
     }
 
-    getTimeRange(isLiveMode) {
-        const cockpit = this.app.cockpitManager;
-        const now = new Date();
-        
-        // Fallback config if cockpit manager is not available
-        let config = {
-            liveRange: 3600,    // 1 hour
-            historyRange: 86400 // 24 hours
-        };
-        
-        try {
-            if (cockpit && cockpit.getConfig) {
-                config = cockpit.getConfig();
-            }
-        } catch (error) {
-            console.warn('Status Manager - Using fallback config:', error);
-        }
-        
-        if (isLiveMode) {
-            return {
-                from: new Date(now.getTime() - config.liveRange * 1000),
-                to: now
-            };
-        } else {
-            return {
-                from: new Date(now.getTime() - config.historyRange * 1000),
-                to: now
-            };
-        }
+    getTimeRange() {
+        return this.app.cockpitManager.getTimeRange();
     }
 
     showStatusLoading() {
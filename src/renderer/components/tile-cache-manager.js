@@ -0,0 +1,180 @@
+/**
+ * Tile Cache Manager Component
+ * Handles pre-seeding the offline map tile cache for the visible map area
+ */
+
+class TileCacheManager {
+    constructor(app) {
+        this.app = app;
+        this.currentDialog = null;
+        this.isSeeding = false;
+        this.maxTiles = 10000; // Matches the limit enforced by the main process
+    }
+
+    showSeedDialog() {
+        const map = this.app.mapManager.map;
+        if (!map || this.currentDialog) return;
+
+        const bounds = map.getBounds();
+        const currentZoom = map.getZoom();
+        const area = {
+            north: bounds.getNorth(),
+            south: bounds.getSouth(),
+            east: bounds.getEast(),
+            west: bounds.getWest()
+        };
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-semibold text-gray-900">Download Map Tiles</h3>
+                    <p class="text-sm text-gray-600 mt-1">Store tiles for the visible map area so the map works without internet</p>
+                </div>
+
+                <div class="px-6 py-4 space-y-4">
+                    <div class="text-xs text-gray-600">
+                        Area: ${area.south.toFixed(5)}, ${area.west.toFixed(5)} - ${area.north.toFixed(5)}, ${area.east.toFixed(5)}
+                    </div>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Min zoom</label>
+                            <input type="number" id="seedMinZoom" min="1" max="19" value="${Math.max(1, currentZoom - 2)}"
+                                class="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Max zoom</label>
+                            <input type="number" id="seedMaxZoom" min="1" max="19" value="${Math.min(19, currentZoom + 2)}"
+                                class="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot">
+                        </div>
+                    </div>
+                    <div id="seedEstimate" class="text-sm text-gray-700"></div>
+                    <div id="seedProgress" class="hidden">
+                        <div class="w-full bg-gray-200 rounded h-2">
+                            <div id="seedProgressBar" class="bg-greenbot h-2 rounded" style="width: 0%"></div>
+                        </div>
+                        <div id="seedProgressText" class="text-xs text-gray-600 mt-1"></div>
+                    </div>
+                </div>
+
+                <div class="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+                    <button type="button" id="closeSeedBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors">
+                        Close
+                    </button>
+                    <button type="button" id="startSeedBtn" class="px-4 py-2 bg-forest text-white rounded hover:bg-greenbot transition-colors">
+                        Download
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.currentDialog = overlay;
+
+        const updateEstimate = () => {
+            const { minZoom, maxZoom } = this.getZoomRange();
+            const count = TileCacheManager.countTiles(area, minZoom, maxZoom);
+            const estimate = document.getElementById('seedEstimate');
+            estimate.textContent = `${count} tiles`;
+            estimate.className = count > this.maxTiles ? 'text-sm text-signal-red' : 'text-sm text-gray-700';
+            document.getElementById('startSeedBtn').disabled = this.isSeeding || count === 0 || count > this.maxTiles;
+        };
+
+        document.getElementById('seedMinZoom').addEventListener('input', updateEstimate);
+        document.getElementById('seedMaxZoom').addEventListener('input', updateEstimate);
+        document.getElementById('startSeedBtn').addEventListener('click', () => this.startSeeding(area));
+        document.getElementById('closeSeedBtn').addEventListener('click', () => this.closeSeedDialog());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeSeedDialog();
+        });
+
+        updateEstimate();
+    }
+
+    getZoomRange() {
+        const minZoom = parseInt(document.getElementById('seedMinZoom').value) || 1;
+        const maxZoom = parseInt(document.getElementById('seedMaxZoom').value) || 1;
+        return { minZoom: Math.min(minZoom, maxZoom), maxZoom: Math.max(minZoom, maxZoom) };
+    }
+
+    async startSeeding(area) {
+        const { minZoom, maxZoom } = this.getZoomRange();
+
+        this.isSeeding = true;
+        document.getElementById('startSeedBtn').disabled = true;
+        document.getElementById('closeSeedBtn').textContent = 'Cancel';
+        document.getElementById('seedProgress').classList.remove('hidden');
+
+        window.electronAPI.onTileSeedProgress((progress) => this.updateProgress(progress));
+
+        try {
+            const result = await window.electronAPI.seedTileCache({ bounds: area, minZoom, maxZoom });
+
+            if (!result.success) {
+                this.app.showToast(`Tile download failed: ${result.error}`, 'error');
+            } else if (result.cancelled) {
+                this.app.showToast(`Tile download cancelled after ${result.downloaded} tiles`, 'warning');
+            } else if (result.failed > 0) {
+                this.app.showToast(`Downloaded ${result.downloaded} tiles, ${result.failed} failed`, 'warning');
+            } else {
+                this.app.showToast(`Downloaded ${result.downloaded} tiles (${result.skipped} already cached)`, 'success');
+            }
+        } catch (error) {
+            console.error('Failed to seed tile cache:', error);
+            this.app.showToast('Tile download failed', 'error');
+        } finally {
+            window.electronAPI.removeTileSeedProgressListener();
+            this.isSeeding = false;
+
+            if (this.currentDialog) {
+                document.getElementById('closeSeedBtn').textContent = 'Close';
+                document.getElementById('startSeedBtn').disabled = false;
+            }
+        }
+    }
+
+    updateProgress(progress) {
+        if (!this.currentDialog) return;
+
+        const percent = Math.round((progress.done / progress.total) * 100);
+        document.getElementById('seedProgressBar').style.width = `${percent}%`;
+        document.getElementById('seedProgressText').textContent =
+            `${progress.done} / ${progress.total} tiles (${progress.downloaded} downloaded, ${progress.skipped} cached, ${progress.failed} failed)`;
+    }
+
+    closeSeedDialog() {
+        if (this.isSeeding) {
+            window.electronAPI.cancelTileSeed();
+            return;
+        }
+
+        if (this.currentDialog) {
+            document.body.removeChild(this.currentDialog);
+            this.currentDialog = null;
+        }
+    }
+
+    // Number of slippy map tiles covering the area for the zoom range
+    static countTiles(area, minZoom, maxZoom) {
+        let count = 0;
+
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const n = Math.pow(2, z);
+            const toTileX = (lng) => Math.floor(((lng + 180) / 360) * n);
+            const toTileY = (lat) => {
+                const rad = lat * Math.PI / 180;
+                return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n);
+            };
+
+            const columns = Math.min(n - 1, toTileX(area.east)) - Math.max(0, toTileX(area.west)) + 1;
+            const rows = Math.min(n - 1, toTileY(area.south)) - Math.max(0, toTileY(area.north)) + 1;
+            count += Math.max(0, columns) * Math.max(0, rows);
+        }
+
+        return count;
+    }
+}
+
+// Export for use in main.js
+window.TileCacheManager = TileCacheManager;
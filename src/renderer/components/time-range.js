@@ -0,0 +1,139 @@
+/**
+ * Time Range Parser
+ * Handles parsing time range expressions into ranges shared by the map, battery and status views
+ *
+ * Grammar (case-insensitive):
+ *   [last|past|previous|up to] [N] minute|hour|day|week[s]   e.g. "last 2 days", "up to 5 minutes", "last week"
+ *   today | yesterday
+ *   since last charge
+ *   since <date>                                              e.g. "since 2024-05-01T08:00"
+ *   <date>/<date>, <date> to <date>                           e.g. "2024-05-01/2024-05-03"
+ * Dates are ISO 8601 in local time unless they carry a timezone; a date without time
+ * starts at midnight, or includes the whole day when it ends a range.
+ */
+
+class TimeRange {
+    static getUnits() {
+        return [
+            { pattern: /^(m|min|mins|minute|minutes)$/, seconds: 60 },
+            { pattern: /^(h|hr|hrs|hour|hours)$/, seconds: 60 * 60 },
+            { pattern: /^(d|day|days)$/, seconds: 24 * 60 * 60 },
+            { pattern: /^(w|wk|wks|week|weeks)$/, seconds: 7 * 24 * 60 * 60 }
+        ];
+    }
+
+    // Returns a range specification for resolve(), or null if the expression is not understood
+    static parse(text) {
+        const expression = (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        if (!expression) return null;
+
+        if (expression === 'today') return { type: 'day', offset: 0 };
+        if (expression === 'yesterday') return { type: 'day', offset: -1 };
+        if (expression === 'since last charge') return { type: 'since-last-charge' };
+
+        const relative = expression.match(/^(?:(?:last|past|previous|up to) )?(\d+(?:\.\d+)?)? ?([a-z]+)$/);
+        if (relative) {
+            const unit = TimeRange.getUnits().find(candidate => candidate.pattern.test(relative[2]));
+            const count = relative[1] !== undefined ? parseFloat(relative[1]) : 1;
+            const seconds = unit ? Math.round(count * unit.seconds) : 0;
+            return seconds > 0 ? { type: 'relative', seconds } : null;
+        }
+
+        const since = expression.match(/^since (.+)$/);
+        if (since) {
+            const from = TimeRange.parseDate(since[1], false);
+            return from ? { type: 'absolute', from, to: null } : null;
+        }
+
+        const parts = expression.split(/ ?\/ ?| to /);
+        if (parts.length === 2) {
+            const from = TimeRange.parseDate(parts[0], false);
+            const to = TimeRange.parseDate(parts[1], true);
+            return from && to && from < to ? { type: 'absolute', from, to } : null;
+        }
+
+        return null;
+    }
+
+    static parseDate(text, isEnd) {
+        const datePart = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (!datePart) return null;
+
+        // Date rolls days past the end of the month over (2024-02-30 becomes March 1), those are rejected
+        const [year, month, day] = datePart.slice(1).map(Number);
+        const calendarDate = new Date(year, month - 1, day);
+        if (calendarDate.getFullYear() !== year || calendarDate.getMonth() !== month - 1 || calendarDate.getDate() !== day) {
+            return null;
+        }
+
+        if (text.length === datePart[0].length) {
+            // Date.parse treats date-only strings as UTC, ranges are meant in local time
+            return new Date(year, month - 1, isEnd ? day + 1 : day);
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}[t ]\d{2}:\d{2}/.test(text)) return null;
+
+        const date = new Date(text.toUpperCase().replace(' ', 'T'));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Length in seconds of relative ranges, null for all others (used for LiveRange and HistoryRange)
+    static parseDuration(text) {
+        const spec = TimeRange.parse(text);
+        return spec && spec.type === 'relative' ? spec.seconds : null;
+    }
+
+    static needsLastCharge(spec) {
+        return spec !== null && spec.type === 'since-last-charge';
+    }
+
+    // lastCharge: end of the last charge for 'since last charge', resolved by the caller
+    static resolve(spec, now = new Date(), lastCharge = null) {
+        switch (spec.type) {
+            case 'relative':
+                return { from: new Date(now.getTime() - spec.seconds * 1000), to: now };
+            case 'day': {
+                const from = new Date(now.getFullYear(), now.getMonth(), now.getDate() + spec.offset);
+                const to = spec.offset === 0 ? now : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+                return { from, to };
+            }
+            case 'since-last-charge':
+                return { from: lastCharge || new Date(now.getTime() - TimeRange.LAST_CHARGE_LOOKBACK * 1000), to: now };
+            case 'absolute':
+                return { from: spec.from, to: spec.to || now };
+            default:
+                throw new Error(`Unknown time range type: ${spec.type}`);
+        }
+    }
+
+    // Last time the mower left the charging station (Charging or Charging Completed) within the lookback
+    static findLastChargeEnd(stateHistory) {
+        const isCharging = (state) => state === 0 || state === 1;
+        const states = [...stateHistory]
+            .map(item => ({ state: item.state, timestamp: new Date(item.timestamp) }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        for (let i = states.length - 1; i > 0; i--) {
+            if (isCharging(states[i - 1].state) && !isCharging(states[i].state)) {
+                return states[i].timestamp;
+            }
+        }
+        return null;
+    }
+
+    // "2024-05-01T08:00/2024-05-01T18:00" - the absolute expression for two local dates
+    static formatAbsolute(from, to) {
+        return `${TimeRange.toInputValue(from)}/${TimeRange.toInputValue(to)}`;
+    }
+
+    static toInputValue(date) {
+        // datetime-local inputs expect local time without a timezone suffix
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+}
+
+TimeRange.LAST_CHARGE_LOOKBACK = 7 * 24 * 60 * 60; // seconds searched for the last charge
+
+// Export for use in main.js
+window.TimeRange = TimeRange;
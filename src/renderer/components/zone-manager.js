@@ -0,0 +1,432 @@
+/**
+ * Zone Manager Component
+ * Handles per-mower mowing zones: drawing, editing, persistence and boundary checks
+ */
+
+class ZoneManager {
+    constructor(app) {
+        this.app = app;
+        this.zones = {}; // lawnmowerId -> [{ id, name, points: [[lat, lng], ...] }]
+        this.profile = null; // Connection profile the zones belong to
+        this.map = null;
+        this.zoneLayer = null;
+        this.zonePolygons = new Map(); // zoneId -> Leaflet polygon
+        this.currentDevice = null;
+        this.currentDialog = null;
+        this.drawing = null; // { points, previewLayer }
+        this.editing = null; // { zone, vertexMarkers }
+        this.violations = new Map(); // lawnmowerId -> { latitude, longitude }
+        this.zoneStyle = { color: '#228B22', weight: 2, fillColor: '#39FF14', fillOpacity: 0.1 };
+        this.violationStyle = { color: '#F43333', weight: 3, fillColor: '#FF7979', fillOpacity: 0.2, dashArray: '6, 4' };
+    }
+
+    async initialize() {
+        await this.loadZones();
+    }
+
+    // Also called after switching the connection profile
+    async loadZones() {
+        this.profile = this.app.profileManager.getActiveProfileName();
+        this.zones = {};
+        this.violations.clear();
+
+        try {
+            const result = await window.electronAPI.loadZones(this.profile);
+            if (result.success) {
+                this.zones = result.zones || {};
+            }
+        } catch (error) {
+            console.error('Failed to load mowing zones:', error);
+        }
+    }
+
+    async saveZones() {
+        try {
+            const result = await window.electronAPI.saveZones(this.profile, this.zones);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Failed to save mowing zones:', error);
+            this.app.showToast('Failed to save mowing zones', 'error');
+        }
+    }
+
+    getZones(deviceId) {
+        return this.zones[deviceId] || [];
+    }
+
+    async setZones(deviceId, zones) {
+        this.zones[deviceId] = zones;
+        await this.saveZones();
+
+        if (this.currentDevice && this.currentDevice.id === deviceId) {
+            this.renderZones();
+        }
+    }
+
+    // Map integration
+    attachToMap(map) {
+        this.map = map;
+        this.zoneLayer = L.layerGroup().addTo(map);
+        this.renderZones();
+    }
+
+    setDevice(device) {
+        this.cancelDrawing();
+        this.finishEditing();
+        this.currentDevice = device;
+        this.renderZones();
+    }
+
+    renderZones() {
+        if (!this.zoneLayer) return;
+
+        this.zoneLayer.clearLayers();
+        this.zonePolygons.clear();
+        if (!this.currentDevice) return;
+
+        const violation = this.violations.get(this.currentDevice.id);
+
+        this.getZones(this.currentDevice.id).forEach(zone => {
+            const isEditing = this.editing && this.editing.zone.id === zone.id;
+            const polygon = L.polygon(zone.points, violation ? this.violationStyle : this.zoneStyle);
+
+            polygon.bindTooltip(window.lawnmowerAPI.constructor.escapeHtml(zone.name), { sticky: true });
+            if (!isEditing) {
+                polygon.bindPopup(() => this.createZonePopup(zone));
+            }
+
+            this.zonePolygons.set(zone.id, polygon);
+            this.zoneLayer.addLayer(polygon);
+        });
+
+        if (violation) {
+            const violationIcon = L.divIcon({
+                html: `
+                    <div class="stuck-marker">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="#F43333">
+                            <path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/>
+                        </svg>
+                    </div>
+                `,
+                className: 'custom-stuck-marker',
+                iconSize: [20, 20],
+                iconAnchor: [10, 10]
+            });
+
+            L.marker([violation.latitude, violation.longitude], { icon: violationIcon })
+                .bindPopup('Device left its mowing zone here')
+                .addTo(this.zoneLayer);
+        }
+    }
+
+    createZonePopup(zone) {
+        const div = document.createElement('div');
+        div.className = 'device-popup';
+        div.innerHTML = `
+            <h4 class="font-semibold">${window.lawnmowerAPI.constructor.escapeHtml(zone.name)}</h4>
+            <p class="text-xs text-gray-500 mb-2">${zone.points.length} corner points</p>
+            <div class="flex space-x-2">
+                <button type="button" data-action="rename" class="text-xs px-2 py-1 bg-gray-100 rounded hover:bg-gray-200">Rename</button>
+                <button type="button" data-action="edit" class="text-xs px-2 py-1 bg-gray-100 rounded hover:bg-gray-200">Edit shape</button>
+                <button type="button" data-action="delete" class="text-xs px-2 py-1 bg-red-100 text-red-700 rounded hover:bg-red-200">Delete</button>
+            </div>
+        `;
+
+        div.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (!action) return;
+
+            this.map.closePopup();
+            if (action === 'rename') this.renameZone(zone);
+            else if (action === 'edit') this.startEditing(zone);
+            else if (action === 'delete') this.deleteZone(zone);
+        });
+
+        return div;
+    }
+
+    // Drawing a new zone: click to add corners, click the first corner or double-click to finish
+    toggleDrawing() {
+        if (this.editing) {
+            this.finishEditing();
+        } else if (this.drawing) {
+            this.finishDrawing();
+        } else {
+            this.startDrawing();
+        }
+    }
+
+    startDrawing() {
+        if (!this.map) return;
+        if (!this.currentDevice) {
+            this.app.showToast('Please select a device to draw a zone for', 'warning');
+            return;
+        }
+
+        this.drawing = {
+            points: [],
+            previewLayer: L.layerGroup().addTo(this.map)
+        };
+
+        this.map.doubleClickZoom.disable();
+        this.map.getContainer().classList.add('zone-drawing');
+
+        this.onDrawClick = (e) => this.addDrawingPoint(e.latlng);
+        this.onDrawDoubleClick = () => this.finishDrawing();
+        this.onDrawKeyDown = (e) => {
+            if (e.key === 'Escape') this.cancelDrawing();
+        };
+
+        this.map.on('click', this.onDrawClick);
+        this.map.on('dblclick', this.onDrawDoubleClick);
+        document.addEventListener('keydown', this.onDrawKeyDown);
+
+        this.app.showToast('Click on the map to add zone corners. Double-click to finish, Esc to cancel.', 'info', 5000);
+    }
+
+    addDrawingPoint(latlng) {
+        const { points, previewLayer } = this.drawing;
+
+        // Clicking the first corner closes the polygon
+        if (points.length >= 3 && this.map.latLngToContainerPoint(points[0]).distanceTo(this.map.latLngToContainerPoint(latlng)) < 10) {
+            this.finishDrawing();
+            return;
+        }
+
+        // Double-clicks also fire two clicks on the same spot
+        const last = points[points.length - 1];
+        if (last && last[0] === latlng.lat && last[1] === latlng.lng) return;
+
+        points.push([latlng.lat, latlng.lng]);
+
+        previewLayer.clearLayers();
+        L.polyline(points, { color: '#228B22', weight: 2, dashArray: '4, 4' }).addTo(previewLayer);
+        points.forEach(point => {
+            L.circleMarker(point, { radius: 4, color: '#228B22', fillColor: '#ffffff', fillOpacity: 1, weight: 2 }).addTo(previewLayer);
+        });
+    }
+
+    async finishDrawing() {
+        if (!this.drawing) return;
+
+        const points = this.drawing.points.slice();
+        this.stopDrawing();
+
+        if (points.length < 3) {
+            this.app.showToast('A zone needs at least 3 corners', 'warning');
+            return;
+        }
+
+        const name = await this.showZoneNameDialog('New mowing zone', `Zone ${this.getZones(this.currentDevice.id).length + 1}`);
+        if (!name) return;
+
+        const zones = this.getZones(this.currentDevice.id).concat({
+            id: Date.now().toString(36),
+            name,
+            points
+        });
+        await this.setZones(this.currentDevice.id, zones);
+        this.app.showToast(`Zone "${name}" created`, 'success');
+    }
+
+    cancelDrawing() {
+        if (this.drawing) {
+            this.stopDrawing();
+        }
+    }
+
+    stopDrawing() {
+        this.map.off('click', this.onDrawClick);
+        this.map.off('dblclick', this.onDrawDoubleClick);
+        document.removeEventListener('keydown', this.onDrawKeyDown);
+
+        this.map.removeLayer(this.drawing.previewLayer);
+        this.map.doubleClickZoom.enable();
+        this.map.getContainer().classList.remove('zone-drawing');
+        this.drawing = null;
+    }
+
+    // Editing an existing zone by dragging its corners
+    startEditing(zone) {
+        this.finishEditing();
+
+        const vertexIcon = L.divIcon({
+            html: '<div class="zone-vertex"></div>',
+            className: '',
+            iconSize: [12, 12],
+            iconAnchor: [6, 6]
+        });
+
+        this.editing = {
+            zone,
+            vertexMarkers: zone.points.map((point, index) => {
+                const marker = L.marker(point, { icon: vertexIcon, draggable: true }).addTo(this.map);
+                marker.on('drag', (e) => {
+                    zone.points[index] = [e.latlng.lat, e.latlng.lng];
+                    this.zonePolygons.get(zone.id).setLatLngs(zone.points);
+                });
+                return marker;
+            })
+        };
+
+        this.renderZones();
+        this.app.showToast(`Drag the corners of "${zone.name}", then click the zone button to finish`, 'info', 5000);
+    }
+
+    async finishEditing() {
+        if (!this.editing) return;
+
+        this.editing.vertexMarkers.forEach(marker => this.map.removeLayer(marker));
+        const { zone } = this.editing;
+        this.editing = null;
+
+        this.renderZones();
+        await this.saveZones();
+        this.app.showToast(`Zone "${zone.name}" updated`, 'success');
+    }
+
+    async renameZone(zone) {
+        const name = await this.showZoneNameDialog('Rename mowing zone', zone.name);
+        if (!name) return;
+
+        zone.name = name;
+        await this.saveZones();
+        this.renderZones();
+    }
+
+    async deleteZone(zone) {
+        const result = await window.electronAPI.showMessageBox({
+            type: 'warning',
+            buttons: ['Cancel', 'Delete'],
+            defaultId: 0,
+            cancelId: 0,
+            title: 'Delete zone',
+            message: `Delete zone "${zone.name}"?`
+        });
+        if (result.response !== 1) return;
+
+        const zones = this.getZones(this.currentDevice.id).filter(z => z.id !== zone.id);
+        await this.setZones(this.currentDevice.id, zones);
+    }
+
+    showZoneNameDialog(title, initialName) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            overlay.innerHTML = `
+                <div class="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+                    <div class="px-6 py-4 border-b border-gray-200">
+                        <h3 class="text-lg font-semibold text-gray-900">${title}</h3>
+                    </div>
+
+                    <form id="zoneForm" class="px-6 py-4">
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Zone name *</label>
+                        <input type="text" id="zoneName" required maxlength="50"
+                            class="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-greenbot focus:border-greenbot"
+                            value="${window.lawnmowerAPI.constructor.escapeHtml(initialName)}">
+                    </form>
+
+                    <div class="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+                        <button type="button" id="cancelZoneBtn" class="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 transition-colors">
+                            Cancel
+                        </button>
+                        <button type="submit" form="zoneForm" class="px-4 py-2 bg-forest text-white rounded hover:bg-greenbot transition-colors">
+                            Save
+                        </button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(overlay);
+            this.currentDialog = overlay;
+
+            const input = document.getElementById('zoneName');
+            input.focus();
+            input.select();
+
+            const close = (value) => {
+                this.closeZoneDialog();
+                resolve(value);
+            };
+
+            document.getElementById('zoneForm').addEventListener('submit', (e) => {
+                e.preventDefault();
+                const name = input.value.trim();
+                if (name) close(name);
+            });
+            document.getElementById('cancelZoneBtn').addEventListener('click', () => close(null));
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+        });
+    }
+
+    closeZoneDialog() {
+        if (this.currentDialog) {
+            document.body.removeChild(this.currentDialog);
+            this.currentDialog = null;
+        }
+    }
+
+    // Boundary checks
+    // Returns null when the mower has no zones, otherwise whether the position lies in any of them
+    isInsideZones(deviceId, latitude, longitude) {
+        const zones = this.getZones(deviceId);
+        if (zones.length === 0) return null;
+
+        return zones.some(zone => ZoneManager.isPointInPolygon(latitude, longitude, zone.points));
+    }
+
+    setViolation(deviceId, position) {
+        if (!position && !this.violations.has(deviceId)) return;
+
+        if (position) {
+            this.violations.set(deviceId, position);
+        } else {
+            this.violations.delete(deviceId);
+        }
+
+        if (this.currentDevice && this.currentDevice.id === deviceId) {
+            this.renderZones();
+        }
+    }
+
+    static isPointInPolygon(latitude, longitude, points) {
+        // Ray casting; lat/lng are treated as planar which is fine at garden scale
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [latI, lngI] = points[i];
+            const [latJ, lngJ] = points[j];
+
+            const intersects = ((latI > latitude) !== (latJ > latitude)) &&
+                (longitude < (lngJ - lngI) * (latitude - latI) / (latJ - latI) + lngI);
+            if (intersects) inside = !inside;
+        }
+        return inside;
+    }
+
+    // Import/export format uses { name, points: [{ lat, lon }] }
+    exportZones(deviceId) {
+        return this.getZones(deviceId).map(zone => ({
+            name: zone.name,
+            points: zone.points.map(([lat, lon]) => ({ lat, lon }))
+        }));
+    }
+
+    async importZones(deviceId, zones) {
+        const imported = zones
+            .filter(zone => zone.name && Array.isArray(zone.points) && zone.points.length >= 3)
+            .map((zone, index) => ({
+                id: `${Date.now().toString(36)}-${index}`,
+                name: zone.name,
+                points: zone.points.map(point => [point.lat, point.lon])
+            }));
+
+        await this.setZones(deviceId, imported);
+    }
+}
+
+// Export for use in main.js
+window.ZoneManager = ZoneManager;
@@ -9,7 +9,6 @@ class LawnmowerApp {
         this.lawnmowers = [];
         this.lastUpdate = null;
         this.staleDataTimeout = null;
-        this.messageCount = 0;
         this.currentTab = 'map';
         this.isInitialized = false;
 
@@ -22,6 +21,18 @@ class LawnmowerApp {
         this.importExportManager = null;
         this.remoteControlManager = null;
         this.configurationManager = null;
+        this.profileManager = null;
+        this.fleetManager = null;
+        this.zoneManager = null;
+        this.coverageManager = null;
+        this.playbackManager = null;
+        this.tileCacheManager = null;
+        this.alertManager = null;
+        this.notificationManager = null;
+        this.eventLogManager = null;
+        this.scheduleManager = null;
+        this.auditManager = null;
+        this.connectivityManager = null;
     }
 
     async initialize() {
@@ -40,11 +51,37 @@ class LawnmowerApp {
             this.importExportManager = new window.ImportExportManager(this);
             this.remoteControlManager = new window.RemoteControlManager(this);
             this.configurationManager = new window.ConfigurationManager(this);
+            this.profileManager = new window.ProfileManager(this);
+            this.fleetManager = new window.FleetManager(this);
+            this.zoneManager = new window.ZoneManager(this);
+            this.coverageManager = new window.CoverageManager(this);
+            this.playbackManager = new window.PlaybackManager(this);
+            this.tileCacheManager = new window.TileCacheManager(this);
+            this.alertManager = new window.AlertManager(this);
+            this.notificationManager = new window.NotificationManager(this);
+            this.eventLogManager = new window.EventLogManager(this);
+            this.scheduleManager = new window.ScheduleManager(this);
+            this.auditManager = new window.AuditManager(this);
+            this.connectivityManager = new window.ConnectivityManager(this);
+
+            // Load connection profile before any backend access
+            await this.profileManager.initialize();
 
             // Initialize components
             await this.cockpitManager.initialize();
             await this.chartManager.initialize();
             await this.statusManager.initialize();
+            this.fleetManager.initialize();
+            await this.zoneManager.initialize();
+            this.coverageManager.initialize();
+            this.playbackManager.initialize();
+            await this.alertManager.initialize();
+            await this.notificationManager.initialize();
+            await this.remoteControlManager.initialize();
+            await this.auditManager.initialize();
+            await this.connectivityManager.initialize();
+            await this.scheduleManager.initialize();
+            await this.configurationManager.initialize();
 
             // Initialize the map right away since it's the default tab
             await this.initializeMap();
@@ -127,11 +164,19 @@ class LawnmowerApp {
         document.getElementById('deleteBtn').addEventListener('click', () => this.showDeleteMowerDialog());
         document.getElementById('importBtn').addEventListener('click', () => this.showImportDialog());
         document.getElementById('exportBtn').addEventListener('click', () => this.showExportDialog());
+        document.getElementById('fleetBtn').addEventListener('click', () => this.showFleetView());
+        document.getElementById('auditBtn').addEventListener('click', () => this.auditManager.showAuditDialog());
+        document.getElementById('batchCommandBtn').addEventListener('click', () => this.remoteControlManager.showBatchCommandDialog());
         document.getElementById('controlBtn').addEventListener('click', () => this.showRemoteControlDialog());
+        document.getElementById('scheduleBtn').addEventListener('click', () => this.scheduleManager.showScheduleDialog());
 
         // Quick action buttons
         document.getElementById('quickAddBtn').addEventListener('click', () => this.showAddMowerDialog());
         document.getElementById('quickImportBtn').addEventListener('click', () => this.showImportDialog());
+        document.getElementById('quickFleetBtn').addEventListener('click', () => this.showFleetView());
+
+        // Alert rules button
+        document.getElementById('alertRulesBtn').addEventListener('click', () => this.alertManager.showRulesDialog());
 
         // Time range selector
         document.getElementById('timeRangeSelector').addEventListener('change', (e) => {
@@ -157,34 +202,49 @@ class LawnmowerApp {
         // Battery measurements
         window.lawnmowerAPI.onMeasurement('battery', (data) => {
             this.cockpitManager.handleBatteryUpdate(data);
+            this.fleetManager.handleBatteryUpdate(data);
+            this.alertManager.handleBatteryUpdate(data);
         });
 
         // GPS measurements
         window.lawnmowerAPI.onMeasurement('gps', (data) => {
             this.cockpitManager.handleGpsUpdate(data);
+            this.fleetManager.handleGpsUpdate(data);
+            this.mapManager.handleFleetGpsUpdate(data);
+            this.alertManager.handleGpsUpdate(data);
         });
 
         // State measurements
         window.lawnmowerAPI.onMeasurement('state', (data) => {
             this.cockpitManager.handleStateUpdate(data);
-            this.remoteControlManager.updateDeviceState(data.State);
+            this.fleetManager.handleStateUpdate(data);
+            this.mapManager.handleFleetStateUpdate(data);
+            this.alertManager.handleStateUpdate(data);
+            this.remoteControlManager.handleStateUpdate(data);
         });
     }
 
     async loadLawnmowers() {
         try {
-            this.lawnmowers = await window.lawnmowerAPI.getLawnmowers();
-            this.updateDeviceSelector();
-
-            if (this.lawnmowers.length === 0) {
-                this.showNoDeviceState();
-            }
+            await this.fetchLawnmowers();
         } catch (error) {
             console.error('Failed to load lawnmowers:', error);
             this.showToast('Failed to load lawnmowers', 'error');
         }
     }
 
+    // Throws if the backend cannot be reached, loadLawnmowers reports that to the user instead
+    async fetchLawnmowers() {
+        this.lawnmowers = await window.lawnmowerAPI.getLawnmowers();
+        this.updateDeviceSelector();
+        await this.fleetManager.setLawnmowers(this.lawnmowers);
+        this.mapManager.pruneAvatars(this.lawnmowers);
+
+        if (this.lawnmowers.length === 0) {
+            this.showNoDeviceState();
+        }
+    }
+
     updateDeviceSelector() {
         const selector = document.getElementById('deviceSelector');
 
@@ -202,6 +262,11 @@ class LawnmowerApp {
         });
     }
 
+    async openDevice(deviceId) {
+        document.getElementById('deviceSelector').value = deviceId;
+        await this.selectDevice(deviceId);
+    }
+
     async selectDevice(deviceId) {
         if (!deviceId) {
             this.currentDevice = null;
@@ -237,6 +302,35 @@ class LawnmowerApp {
         }
     }
 
+    // Throws if the REST or hub connection of the profile fails, the caller then restores the previous profile
+    async applyConnectionProfile(profile) {
+        // Release the selected device while the old hub is still connected
+        document.getElementById('deviceSelector').value = '';
+        await this.selectDevice(null);
+        this.remoteControlManager.setDevice(null);
+        await this.fleetManager.setLawnmowers([]);
+        this.alertManager.reset();
+        this.mapManager.clearAvatars();
+
+        // Tear down REST and SignalR state, then reconnect with the new profile
+        await window.lawnmowerAPI.reset();
+        window.lawnmowerAPI.configure(profile);
+
+        this.lawnmowers = [];
+        this.updateDeviceSelector();
+
+        // Mower ids are only unique per backend, load the data kept for the new profile
+        await Promise.all([
+            this.zoneManager.loadZones(),
+            this.scheduleManager.loadSchedules(),
+            this.connectivityManager.loadPingHistory(),
+            this.auditManager.loadAuditTrail()
+        ]);
+
+        await window.lawnmowerAPI.initializeSignalR();
+        await this.fetchLawnmowers();
+    }
+
     async loadDeviceData() {
         if (!this.currentDevice) return;
 
@@ -274,23 +368,35 @@ class LawnmowerApp {
     showNoDeviceState() {
         document.getElementById('noDeviceState').classList.remove('hidden');
         document.getElementById('cockpitView').classList.add('hidden');
+        document.getElementById('fleetView').classList.add('hidden');
+        this.fleetManager.hide();
     }
 
     showCockpitView() {
         document.getElementById('noDeviceState').classList.add('hidden');
         document.getElementById('cockpitView').classList.remove('hidden');
+        document.getElementById('fleetView').classList.add('hidden');
+        this.fleetManager.hide();
 
         // Update device info in cockpit header
         document.getElementById('deviceName').textContent = this.currentDevice.name;
         document.getElementById('deviceAddress').textContent = this.currentDevice.address;
     }
 
+    showFleetView() {
+        document.getElementById('noDeviceState').classList.add('hidden');
+        document.getElementById('cockpitView').classList.add('hidden');
+        document.getElementById('fleetView').classList.remove('hidden');
+        this.fleetManager.show();
+    }
+
     updateActionButtons() {
         const hasDevice = !!this.currentDevice;
         document.getElementById('editBtn').disabled = !hasDevice;
         document.getElementById('deleteBtn').disabled = !hasDevice;
         document.getElementById('exportBtn').disabled = !hasDevice;
         document.getElementById('controlBtn').disabled = !hasDevice;
+        document.getElementById('scheduleBtn').disabled = !hasDevice;
     }
 
     updateDeviceAvatar(avatarResponse) {
@@ -432,6 +538,8 @@ class LawnmowerApp {
     async loadTabContent(tabName) {
         if (!this.currentDevice) return;
 
+        await this.cockpitManager.prepareTimeRange();
+
         switch (tabName) {
             case 'map':
                 await this.initializeMap();
@@ -498,12 +606,7 @@ class LawnmowerApp {
 
     // Message system
     addMessage(text, type = 'info') {
-        const timestamp = new Date().toLocaleTimeString();
-        this.messageCount++;
-        document.getElementById('messageCount').textContent = this.messageCount;
-
-        console.log(`[${type.toUpperCase()}] ${timestamp}: ${text}`);
-        // Full message UI will be implemented in the visualization milestone
+        this.cockpitManager.addMessage(text, type);
     }
 
     // Device management methods - now implemented
@@ -535,6 +638,27 @@ class LawnmowerApp {
         this.configurationManager.showConfiguration();
     }
 
+    // Re-reads the config file in every component that uses it, so saved settings apply without a restart
+    async applyConfiguration() {
+        await Promise.all([
+            this.cockpitManager.loadConfiguration(false),
+            this.alertManager.loadRules(),
+            this.notificationManager.loadPreferences(),
+            this.remoteControlManager.initialize(),
+            this.auditManager.loadOperator(),
+            this.connectivityManager.loadSettings()
+        ]);
+
+        // Thresholds and time ranges are evaluated when rendering
+        if (this.fleetManager.isVisible) {
+            this.fleetManager.render();
+        }
+        if (this.cockpitManager.currentDevice) {
+            this.loadTabContent(this.currentTab);
+        }
+        this.remoteControlManager.refreshInterlocks();
+    }
+
     async loadBatteryChart() {
         const isLiveMode = this.cockpitManager.isInLiveMode();
         await this.chartManager.loadBatteryChart(isLiveMode);
@@ -553,12 +677,7 @@ class LawnmowerApp {
 
     // Message system
     addMessage(text, type = 'info') {
-        const timestamp = new Date().toLocaleTimeString();
-        this.messageCount++;
-        document.getElementById('messageCount').textContent = this.messageCount;
-
-        console.log(`[${type.toUpperCase()}] ${timestamp}: ${text}`);
-        // Full message UI will be implemented in the visualization milestone
+        this.cockpitManager.addMessage(text, type);
     }
 
     // Device management methods - now implemented
@@ -583,7 +702,12 @@ class LawnmowerApp {
     }
 
     changeTimeRange(range) {
-        if (this.cockpitManager) {
+        if (!this.cockpitManager) return;
+
+        // A custom range is loaded once it has been entered and applied
+        if (range === 'custom') {
+            this.cockpitManager.showCustomRange();
+        } else {
             this.cockpitManager.changeTimeRange(range === 'live');
         }
     }